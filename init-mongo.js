@@ -46,6 +46,7 @@ db.messages.createIndex({ conversation: 1, createdAt: -1 });
 db.messages.createIndex({ sender: 1 });
 db.messages.createIndex({ receiver: 1 });
 db.messages.createIndex({ receiver: 1, isRead: 1, isDeleted: 1 });
+db.messages.createIndex({ content: 'text' });
 
 db.automessages.createIndex({ sendDate: 1, isQueued: 1, isSent: 1 });
 db.automessages.createIndex({ isQueued: 1, isSent: 1, retryCount: 1 });
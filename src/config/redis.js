@@ -46,28 +46,79 @@ export const getRedisClient = () => {
   return redisClient;
 };
 
-// Online users management
-export const addOnlineUser = async (userId) => {
-  try {
-    await redisClient.sAdd('online_users', userId.toString());
-    logger.debug(`User ${userId} added to online users`);
-  } catch (error) {
-    logger.error('Error adding online user:', error);
+// Presence is tracked per connection. Each user has a hash of connection id ->
+// { status, expiresAt }, and presence:online scores each connected user by when
+// their connections expire. Heartbeats push expiries forward; entries left
+// behind by a crashed node simply run out.
+const ONLINE_USERS_KEY = 'presence:online';
+const connectionsKey = (userId) => `presence:connections:${userId}`;
+
+// Add or refresh a connection. Resolves true when this put the user online.
+export const setConnection = async (userId, connectionId, status, ttlSeconds) => {
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+
+  const [previousExpiry] = await redisClient.multi()
+    .zScore(ONLINE_USERS_KEY, userId.toString())
+    .hSet(connectionsKey(userId), connectionId, JSON.stringify({ status, expiresAt }))
+    .expire(connectionsKey(userId), ttlSeconds)
+    .zAdd(ONLINE_USERS_KEY, { score: expiresAt, value: userId.toString() }, { GT: true })
+    .exec();
+
+  logger.debug(`Connection ${connectionId} of user ${userId} is ${status}`);
+
+  // An expired entry not swept yet counts as offline too
+  return previousExpiry === null || Number(previousExpiry) <= Date.now();
+};
+
+// A user's live connections, dropping expired ones: [{ id, status, expiresAt }]
+export const getConnections = async (userId) => {
+  const entries = Object.entries(await redisClient.hGetAll(connectionsKey(userId)))
+    .map(([id, value]) => ({ id, ...JSON.parse(value) }));
+  const now = Date.now();
+  const expiredIds = entries.filter(entry => entry.expiresAt <= now).map(entry => entry.id);
+
+  if (expiredIds.length > 0) {
+    await redisClient.hDel(connectionsKey(userId), expiredIds);
   }
+
+  return entries.filter(entry => entry.expiresAt > now);
 };
 
-export const removeOnlineUser = async (userId) => {
-  try {
-    await redisClient.sRem('online_users', userId.toString());
-    logger.debug(`User ${userId} removed from online users`);
-  } catch (error) {
-    logger.error('Error removing online user:', error);
+// Take the user offline if they have no live connection left.
+// Resolves true for the caller that actually took them offline.
+const removeUserIfDisconnected = async (userId) => {
+  if ((await getConnections(userId)).length > 0) {
+    return false;
+  }
+
+  return (await redisClient.zRem(ONLINE_USERS_KEY, userId.toString())) === 1;
+};
+
+// Remove a closed connection. Resolves true when it was the user's last one.
+export const removeConnection = async (userId, connectionId) => {
+  await redisClient.hDel(connectionsKey(userId), connectionId);
+  logger.debug(`Connection ${connectionId} of user ${userId} closed`);
+  return await removeUserIfDisconnected(userId);
+};
+
+// Users whose connections have all expired without being closed (e.g. their node
+// crashed), with when they were last heartbeated: [{ userId, lastSeen }]
+export const removeStaleOnlineUsers = async (ttlSeconds) => {
+  const stale = await redisClient.zRangeByScoreWithScores(ONLINE_USERS_KEY, '-inf', Date.now());
+  const removed = [];
+
+  for (const { value, score } of stale) {
+    if (await removeUserIfDisconnected(value)) {
+      removed.push({ userId: value, lastSeen: new Date(score - ttlSeconds * 1000) });
+    }
   }
+
+  return removed;
 };
 
 export const getOnlineUsers = async () => {
   try {
-    return await redisClient.sMembers('online_users');
+    return await redisClient.zRangeByScore(ONLINE_USERS_KEY, Date.now(), '+inf');
   } catch (error) {
     logger.error('Error getting online users:', error);
     return [];
@@ -76,7 +127,8 @@ export const getOnlineUsers = async () => {
 
 export const isUserOnline = async (userId) => {
   try {
-    return await redisClient.sIsMember('online_users', userId.toString());
+    const expiresAt = await redisClient.zScore(ONLINE_USERS_KEY, userId.toString());
+    return expiresAt !== null && expiresAt > Date.now();
   } catch (error) {
     logger.error('Error checking if user is online:', error);
     return false;
@@ -85,9 +137,31 @@ export const isUserOnline = async (userId) => {
 
 export const getOnlineUserCount = async () => {
   try {
-    return await redisClient.sCard('online_users');
+    return await redisClient.zCount(ONLINE_USERS_KEY, Date.now(), '+inf');
   } catch (error) {
     logger.error('Error getting online user count:', error);
     return 0;
   }
-};
\ No newline at end of file
+};
+
+// Access token denylist. Entries expire when the tokens they block would have.
+// Errors are rethrown: a revocation that did not happen must not be reported as
+// done, and a token that cannot be checked must not be accepted.
+export const addToDenylist = async (id, ttlSeconds) => {
+  try {
+    await redisClient.set(`denylist:${id}`, '1', { EX: ttlSeconds });
+    logger.debug(`Added ${id} to the token denylist for ${ttlSeconds}s`);
+  } catch (error) {
+    logger.error('Error adding to token denylist:', error);
+    throw error;
+  }
+};
+
+export const isDenylisted = async (ids) => {
+  try {
+    return (await redisClient.exists(ids.map(id => `denylist:${id}`))) > 0;
+  } catch (error) {
+    logger.error('Error checking token denylist:', error);
+    throw error;
+  }
+};
@@ -31,7 +31,42 @@ export const swaggerOptions = {
             _id: { type: 'string' },
             username: { type: 'string' },
             email: { type: 'string' },
+            displayName: { type: 'string' },
+            avatar: { type: 'string' },
+            bio: { type: 'string' },
+            customStatus: {
+              type: 'object',
+              properties: {
+                text: { type: 'string' },
+                expiresAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            timezone: { type: 'string' },
+            locale: { type: 'string' },
             isActive: { type: 'boolean' },
+            isBot: { type: 'boolean' },
+            botOwner: { type: 'string' },
+            role: { type: 'string', enum: ['user', 'moderator', 'admin'] },
+            grantedPermissions: { type: 'array', items: { type: 'string' } },
+            revokedPermissions: { type: 'array', items: { type: 'string' } },
+            emailVerified: { type: 'boolean' },
+            emailVerifiedAt: { type: 'string', format: 'date-time' },
+            twoFactor: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                enabledAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            privacy: {
+              type: 'object',
+              properties: {
+                conversationsFrom: { type: 'string', enum: ['everyone', 'contacts'] },
+                lastSeenVisibleTo: { type: 'string', enum: ['everyone', 'contacts', 'nobody'] },
+                onlineVisibleTo: { type: 'string', enum: ['everyone', 'contacts', 'nobody'] },
+                readReceipts: { type: 'boolean' }
+              }
+            },
             lastSeen: { type: 'string', format: 'date-time' },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' }
@@ -43,10 +78,65 @@ export const swaggerOptions = {
             _id: { type: 'string' },
             sender: { type: 'string' },
             receiver: { type: 'string' },
+            recipients: { type: 'array', items: { type: 'string' } },
             conversation: { type: 'string' },
             content: { type: 'string' },
-            messageType: { type: 'string', enum: ['text', 'auto'] },
+            messageType: { type: 'string', enum: ['text', 'auto', 'image', 'file'] },
+            fromBot: { type: 'boolean', description: 'Sent by a bot account' },
+            attachment: {
+              type: 'object',
+              properties: {
+                fileName: { type: 'string' },
+                mimeType: { type: 'string' },
+                size: { type: 'integer' },
+                width: { type: 'integer' },
+                height: { type: 'integer' },
+                thumbnail: {
+                  type: 'object',
+                  properties: {
+                    width: { type: 'integer' },
+                    height: { type: 'integer' }
+                  }
+                }
+              }
+            },
+            status: { type: 'string', enum: ['sent', 'delivered', 'read'] },
+            deliveredAt: { type: 'string', format: 'date-time' },
             isRead: { type: 'boolean' },
+            readBy: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  user: { type: 'string' },
+                  readAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            replyTo: {
+              type: 'object',
+              description: 'Compact preview of the quoted message',
+              properties: {
+                _id: { type: 'string' },
+                sender: { type: 'string' },
+                content: { type: 'string', nullable: true },
+                isDeleted: { type: 'boolean' }
+              }
+            },
+            threadRoot: { type: 'string' },
+            reactions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  emoji: { type: 'string' },
+                  count: { type: 'integer' },
+                  reacted: { type: 'boolean', description: 'Whether the current user reacted' }
+                }
+              }
+            },
+            isEdited: { type: 'boolean' },
+            editedAt: { type: 'string', format: 'date-time' },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
@@ -54,12 +144,28 @@ export const swaggerOptions = {
           type: 'object',
           properties: {
             _id: { type: 'string' },
+            type: { type: 'string', enum: ['direct', 'group'] },
+            name: { type: 'string' },
+            avatar: { type: 'string' },
+            owner: { type: 'string' },
+            admins: { type: 'array', items: { type: 'string' } },
             participants: { type: 'array', items: { type: 'string' } },
             lastMessage: { type: 'string' },
             lastActivity: { type: 'string', format: 'date-time' },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
+        ContactRequest: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            requester: { type: 'string' },
+            recipient: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'accepted'] },
+            acceptedAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -1,9 +1,40 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isAccessTokenRevoked } from '../services/tokenService.js';
+import { isApiKey, authenticateApiKey } from '../services/apiKeyService.js';
 import logger from '../utils/logger.js';
 
+// API keys are sent in X-API-Key or as a bearer token
+const getApiKey = (req) => {
+  const apiKey = req.headers['x-api-key'] || req.headers.authorization?.split(' ')[1];
+  return isApiKey(apiKey) ? apiKey : null;
+};
+
+// A request made with an API key can only use the permissions the key is scoped to
+export const isPermitted = (user, apiKey, permission) => {
+  return user.hasPermission(permission) && (!apiKey || apiKey.scopes.includes(permission));
+};
+
+// Accepts a JWT access token or, for bot accounts, an API key
 export const authenticateToken = async (req, res, next) => {
   try {
+    const apiKey = getApiKey(req);
+
+    if (apiKey) {
+      const result = await authenticateApiKey(apiKey);
+
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid API key'
+        });
+      }
+
+      req.user = result.user;
+      req.apiKey = result.apiKey;
+      return next();
+    }
+
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -16,6 +47,24 @@ export const authenticateToken = async (req, res, next) => {
 
     // Verify the token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    let isRevoked;
+    try {
+      isRevoked = await isAccessTokenRevoked(decoded);
+    } catch (error) {
+      // Without the denylist a revoked token looks valid, so refuse them all for now
+      return res.status(503).json({
+        success: false,
+        message: 'Authentication is temporarily unavailable'
+      });
+    }
+
+    if (isRevoked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
     
     // Find the user
     const user = await User.findById(decoded.userId).select('-password -refreshTokens');
@@ -34,8 +83,17 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token issued before password change'
+      });
+    }
+
+    // Add user, the session (refresh token family) and the token itself
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.accessToken = decoded;
     next();
 
   } catch (error) {
@@ -62,6 +120,34 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Require every listed permission (and API key scope); use after authenticateToken
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !isPermitted(req.user, req.apiKey, permission));
+
+    if (missing.length > 0) {
+      logger.warn(`User ${req.user._id} denied ${req.method} ${req.originalUrl}: missing ${missing.join(', ')}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    next();
+  };
+};
+
+// Refuse API keys on routers that only people should use (account, admin, ...)
+export const rejectApiKeys = (req, res, next) => {
+  if (getApiKey(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+  next();
+};
+
 export const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -71,8 +157,10 @@ export const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select('-password -refreshTokens');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && !user.changedPasswordAfter(decoded.iat) &&
+        !(await isAccessTokenRevoked(decoded))) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
 
@@ -92,14 +180,39 @@ export const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication token required'));
     }
 
+    // Bots connect with an API key in place of the token
+    if (isApiKey(token)) {
+      const result = await authenticateApiKey(token);
+
+      if (!result) {
+        return next(new Error('Invalid API key'));
+      }
+
+      socket.userId = result.user._id.toString();
+      socket.user = result.user;
+      socket.apiKey = result.apiKey;
+      return next();
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isAccessTokenRevoked(decoded)) {
+      return next(new Error('Token has been revoked'));
+    }
+
     const user = await User.findById(decoded.userId).select('-password -refreshTokens');
 
     if (!user || !user.isActive) {
       return next(new Error('Invalid token or inactive user'));
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return next(new Error('Token issued before password change'));
+    }
+
     socket.userId = user._id.toString();
+    socket.sessionId = decoded.sid;
+    socket.tokenId = decoded.jti;
     socket.user = user;
     next();
 
@@ -0,0 +1,66 @@
+import multer from 'multer';
+
+const DEFAULT_ALLOWED_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip'
+];
+
+// Limits are read per request since environment variables load after module imports
+export const getAttachmentMaxSize = () => {
+  return (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+};
+
+export const getAllowedMimeTypes = () => {
+  return process.env.ATTACHMENT_ALLOWED_MIME_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_MIME_TYPES.split(',').map(type => type.trim())
+    : DEFAULT_ALLOWED_MIME_TYPES;
+};
+
+// Files are kept in memory and handed to the storage driver by the route
+const createUpload = () => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getAttachmentMaxSize(),
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!getAllowedMimeTypes().includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Parse a single multipart file field, turning upload errors into 4xx responses
+export const uploadAttachment = (fieldName = 'file') => (req, res, next) => {
+  createUpload().single(fieldName)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File exceeds the ${getAttachmentMaxSize() / (1024 * 1024)}MB limit`
+          : error.message
+      });
+    }
+
+    if (error) {
+      return next(error);
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required'
+      });
+    }
+
+    next();
+  });
+};
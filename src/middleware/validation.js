@@ -1,5 +1,10 @@
 import { body, param, query, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
+import { isReplyInConversation } from '../services/messageService.js';
+import { decodeSyncToken } from '../services/syncService.js';
+import { decodeCursor } from '../utils/cursor.js';
+import { ROLES, PERMISSIONS, CONVERSATION_AUDIENCES, PRESENCE_AUDIENCES } from '../models/User.js';
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
 
 // Helper function to handle validation results
 export const handleValidationErrors = (req, res, next) => {
@@ -23,7 +28,60 @@ const isValidObjectId = (value) => {
   return mongoose.Types.ObjectId.isValid(value);
 };
 
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Time zones and locales are checked against the runtime's Intl data
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isLocale = (value) => {
+  try {
+    return Intl.getCanonicalLocales(value).length === 1;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Custom validator ensuring a quoted message lives in the conversation being written to
+const isReplyInSameConversation = async (value, { req }) => {
+  const { conversationId, receiverId } = req.body;
+
+  const sameConversation = await isReplyInConversation({
+    replyTo: value,
+    senderId: req.user._id,
+    receiverId,
+    conversationId
+  });
+
+  if (!sameConversation) {
+    throw new Error('Replied-to message must belong to the same conversation');
+  }
+
+  return true;
+};
+
 // Authentication validation rules
+
+// Optional label for the session being started, shown in the session list
+const deviceNameRule = body('deviceName')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Device name must be between 1 and 100 characters');
+
 export const validateRegister = [
   body('username')
     .trim()
@@ -43,6 +101,8 @@ export const validateRegister = [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
   
+  deviceNameRule,
+  
   handleValidationErrors
 ];
 
@@ -56,6 +116,8 @@ export const validateLogin = [
     .notEmpty()
     .withMessage('Password is required'),
   
+  deviceNameRule,
+  
   handleValidationErrors
 ];
 
@@ -67,12 +129,153 @@ export const validateRefreshToken = [
   handleValidationErrors
 ];
 
+export const validateSessionId = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+  
+  handleValidationErrors
+];
+
+// Two-factor authentication validation
+const twoFactorCodeRule = body('code')
+  .isString()
+  .trim()
+  .isLength({ min: 6, max: 32 })
+  .withMessage('A valid authentication or recovery code is required');
+
+export const validateTwoFactorCode = [
+  twoFactorCodeRule,
+  
+  handleValidationErrors
+];
+
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  twoFactorCodeRule,
+  
+  handleValidationErrors
+];
+
+export const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  twoFactorCodeRule,
+  
+  handleValidationErrors
+];
+
+export const validateVerifyEmail = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors
+];
+
+export const validateUnlockAccount = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Unlock token is required'),
+  
+  handleValidationErrors
+];
+
+export const validateOidcAuthorize = [
+  query('deviceName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Device name must be between 1 and 100 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateOidcCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+  
+  body('iss')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Invalid issuer'),
+  
+  handleValidationErrors
+];
+
+export const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  
+  handleValidationErrors
+];
+
+export const validateResetPassword = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+];
+
 // Message validation rules
-export const validateSendMessage = [
+
+// Rules shared by every way of sending a message: who it goes to, what it replies to
+// and the client-generated id used to deduplicate retries
+const messageTargetRules = [
   body('receiverId')
+    .if(body('conversationId').not().exists())
     .custom(isValidObjectId)
     .withMessage('Invalid receiver ID'),
   
+  body('conversationId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid conversation ID'),
+  
+  body('replyTo')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid reply message ID')
+    .bail()
+    .custom(isReplyInSameConversation),
+  
+  body('clientMessageId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Client message ID must be between 1 and 64 characters')
+];
+
+export const validateSendMessage = [
+  ...messageTargetRules,
+  
   body('content')
     .trim()
     .isLength({ min: 1, max: 1000 })
@@ -81,6 +284,107 @@ export const validateSendMessage = [
   handleValidationErrors
 ];
 
+export const validateSendAttachment = [
+  ...messageTargetRules,
+  
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Caption cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateEditMessage = [
+  param('messageId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid message ID'),
+  
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message content must be between 1 and 1000 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateReaction = [
+  param('messageId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid message ID'),
+  
+  body('emoji')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 32 })
+    .matches(/\p{Extended_Pictographic}/u)
+    .withMessage('Reaction must be an emoji'),
+  
+  handleValidationErrors
+];
+
+export const validateRemoveReaction = [
+  param('messageId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid message ID'),
+  
+  param('emoji')
+    .isLength({ min: 1, max: 32 })
+    .withMessage('Invalid reaction'),
+  
+  handleValidationErrors
+];
+
+export const validateSearchMessages = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+  
+  query('conversationId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid conversation ID'),
+  
+  query('senderId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid sender ID'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  
+  query('messageType')
+    .optional()
+    .isIn(['text', 'auto', 'image', 'file'])
+    .withMessage('Invalid message type'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  query('context')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Context must be between 0 and 10'),
+  
+  handleValidationErrors
+];
+
 export const validateMessageId = [
   param('messageId')
     .custom(isValidObjectId)
@@ -98,11 +402,86 @@ export const validateConversationId = [
   handleValidationErrors
 ];
 
+export const validateCreateGroup = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  
+  body('avatar')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Avatar must be a valid URL'),
+  
+  body('memberIds')
+    .isArray({ min: 1, max: 255 })
+    .withMessage('Member IDs must be an array of 1 to 255 users'),
+  
+  body('memberIds.*')
+    .custom(isValidObjectId)
+    .withMessage('Invalid member ID'),
+  
+  handleValidationErrors
+];
+
+export const validateAddMembers = [
+  param('conversationId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid conversation ID'),
+  
+  body('memberIds')
+    .isArray({ min: 1, max: 255 })
+    .withMessage('Member IDs must be an array of 1 to 255 users'),
+  
+  body('memberIds.*')
+    .custom(isValidObjectId)
+    .withMessage('Invalid member ID'),
+  
+  handleValidationErrors
+];
+
+export const validateRemoveMember = [
+  param('conversationId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid conversation ID'),
+  
+  param('userId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid user ID'),
+  
+  handleValidationErrors
+];
+
+// Custom validator for opaque pagination cursors
+const isValidCursor = (value) => {
+  return decodeCursor(value) !== null;
+};
+
 export const validateGetMessages = [
   param('conversationId')
     .custom(isValidObjectId)
     .withMessage('Invalid conversation ID'),
   
+  query('before')
+    .optional()
+    .custom(isValidCursor)
+    .withMessage('Invalid before cursor'),
+  
+  query('after')
+    .optional()
+    .custom(isValidCursor)
+    .withMessage('Invalid after cursor'),
+  
+  query('around')
+    .optional()
+    .custom(value => isValidObjectId(value) || isValidCursor(value))
+    .withMessage('Around must be a cursor or message ID'),
+  
+  query()
+    .custom(value => ['before', 'after', 'around'].filter(key => value[key] !== undefined).length <= 1)
+    .withMessage('Only one of before, after and around may be given'),
+  
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -116,6 +495,16 @@ export const validateGetMessages = [
   handleValidationErrors
 ];
 
+// Sync validation rules
+export const validateSync = [
+  query('since')
+    .optional()
+    .custom(value => decodeSyncToken(value) !== null)
+    .withMessage('Invalid sync token'),
+  
+  handleValidationErrors
+];
+
 // User validation rules
 export const validateUserId = [
   param('userId')
@@ -145,6 +534,130 @@ export const validateUserList = [
   handleValidationErrors
 ];
 
+// Admin validation rules
+export const validateAdminUserList = [
+  ...validateUserList.slice(0, -1),
+  
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  
+  handleValidationErrors
+];
+
+export const validateUpdateRole = [
+  param('userId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid user ID'),
+  
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+export const validateUpdatePermissions = [
+  param('userId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid user ID'),
+  
+  body(['grantedPermissions', 'revokedPermissions'])
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be arrays'),
+  
+  body(['grantedPermissions.*', 'revokedPermissions.*'])
+    .isIn(PERMISSIONS)
+    .withMessage(`Permissions must be among: ${PERMISSIONS.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+export const validateUpdateUserStatus = [
+  param('userId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid user ID'),
+  
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Bot and API key validation rules
+export const validateCreateBot = [
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  
+  handleValidationErrors
+];
+
+export const validateBotId = [
+  param('botId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid bot ID'),
+  
+  handleValidationErrors
+];
+
+export const validateCreateApiKey = [
+  body('botId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid bot ID'),
+  
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+  
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('expiresInDays must be between 1 and 3650')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+export const validateListApiKeys = [
+  query('botId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid bot ID'),
+  
+  handleValidationErrors
+];
+
+export const validateApiKeyId = [
+  param('keyId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid API key ID'),
+  
+  handleValidationErrors
+];
+
 // Profile update validation
 export const validateUpdateProfile = [
   body('username')
@@ -161,6 +674,111 @@ export const validateUpdateProfile = [
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
   
+  body('currentPassword')
+    .optional()
+    .isString()
+    .withMessage('Current password must be a string'),
+  
+  // Profile fields can be cleared with an empty string (or null)
+  body('displayName')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Display name cannot exceed 50 characters'),
+  
+  body('avatar')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .custom(value => value === '' || isHttpUrl(value))
+    .withMessage('Avatar must be an http(s) URL'),
+  
+  body('bio')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Bio cannot exceed 300 characters'),
+  
+  body('statusText')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Status cannot exceed 100 characters'),
+  
+  body('statusExpiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Status expiry must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Status expiry must be in the future'),
+  
+  body('timezone')
+    .optional({ values: 'null' })
+    .isString()
+    .custom(value => value === '' || isTimeZone(value))
+    .withMessage('Time zone must be an IANA time zone such as Europe/Istanbul'),
+  
+  body('locale')
+    .optional({ values: 'null' })
+    .isString()
+    .custom(value => value === '' || isLocale(value))
+    .withMessage('Locale must be a BCP 47 language tag such as tr-TR')
+    .customSanitizer(value => (isLocale(value) ? Intl.getCanonicalLocales(value)[0] : value)),
+  
+  handleValidationErrors
+];
+
+export const validateUpdatePrivacy = [
+  body('conversationsFrom')
+    .optional()
+    .isIn(CONVERSATION_AUDIENCES)
+    .withMessage(`conversationsFrom must be one of: ${CONVERSATION_AUDIENCES.join(', ')}`),
+
+  body('lastSeenVisibleTo')
+    .optional()
+    .isIn(PRESENCE_AUDIENCES)
+    .withMessage(`lastSeenVisibleTo must be one of: ${PRESENCE_AUDIENCES.join(', ')}`),
+
+  body('onlineVisibleTo')
+    .optional()
+    .isIn(PRESENCE_AUDIENCES)
+    .withMessage(`onlineVisibleTo must be one of: ${PRESENCE_AUDIENCES.join(', ')}`),
+
+  body('readReceipts')
+    .optional()
+    .isBoolean()
+    .withMessage('readReceipts must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Contact validation rules
+export const validateSendContactRequest = [
+  body('userId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid user ID'),
+  
+  handleValidationErrors
+];
+
+export const validateContactRequestId = [
+  param('requestId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid contact request ID'),
+  
+  handleValidationErrors
+];
+
+export const validateListContactRequests = [
+  query('direction')
+    .optional()
+    .isIn(['incoming', 'outgoing'])
+    .withMessage('Direction must be incoming or outgoing'),
+  
   handleValidationErrors
 ];
 
@@ -0,0 +1,63 @@
+import { jest, describe, it, expect } from '@jest/globals';
+import { createLoggerMock } from '../test/fakes.js';
+
+jest.unstable_mockModule('../services/messageService.js', () => ({
+  isReplyInConversation: jest.fn()
+}));
+
+jest.unstable_mockModule('../services/syncService.js', () => ({
+  decodeSyncToken: jest.fn()
+}));
+
+jest.unstable_mockModule('../utils/logger.js', createLoggerMock);
+
+const { validateUpdateUserStatus } = await import('./validation.js');
+
+// Run a validation chain over a request body. Resolves with the status the chain
+// answered with (undefined when it let the request through) and the body it left.
+const runValidation = async (chain, { params = {}, body = {} }) => {
+  const req = { params, body, query: {}, headers: {} };
+  let status;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+
+  for (const middleware of chain) {
+    let passed = false;
+    await middleware(req, res, () => {
+      passed = true;
+    });
+    if (!passed) break;
+  }
+
+  return { status, body: req.body };
+};
+
+describe('validateUpdateUserStatus', () => {
+  const params = { userId: '64b000000000000000000003' };
+
+  it.each([
+    ['false', false],
+    [0, false],
+    ['0', false],
+    ['true', true],
+    [1, true]
+  ])('turns isActive %p into the boolean %p', async (isActive, expected) => {
+    const result = await runValidation(validateUpdateUserStatus, { params, body: { isActive } });
+
+    expect(result.status).toBeUndefined();
+    expect(result.body.isActive).toBe(expected);
+  });
+
+  it('rejects values that are not booleans', async () => {
+    const result = await runValidation(validateUpdateUserStatus, { params, body: { isActive: 'no' } });
+
+    expect(result.status).toBe(400);
+  });
+});
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// What an API key may be used for; a subset of the permissions in models/User.js
+export const API_KEY_SCOPES = [
+  'messages:read',
+  'messages:send',
+  'conversations:read',
+  'conversations:write'
+];
+
+// API keys authenticate bot accounts. Only the SHA-256 hash of a key is stored;
+// the prefix (e.g. "rmk_3f9a1c2b") identifies it in listings.
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  lastUsedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.keyHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+apiKeySchema.index({ createdBy: 1 });
+
+// Method to check whether the key can still be used
+apiKeySchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+export default mongoose.model('ApiKey', apiKeySchema);
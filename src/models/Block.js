@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// 'block' cuts all contact off in both directions; 'mute' only silences
+// notifications and typing indicators from the muted user
+export const BLOCK_TYPES = ['block', 'mute'];
+
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: BLOCK_TYPES,
+    default: 'block'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// A user blocks or mutes another user at most once
+blockSchema.index({ blocker: 1, type: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1, type: 1 });
+
+// Static method to check whether either user has blocked the other
+blockSchema.statics.isBlockedBetween = async function(userId1, userId2) {
+  try {
+    return Boolean(await this.exists({
+      type: 'block',
+      $or: [
+        { blocker: userId1, blocked: userId2 },
+        { blocker: userId2, blocked: userId1 }
+      ]
+    }));
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Static method to get the ids of the users someone has blocked (or muted)
+blockSchema.statics.getBlockedIds = async function(userId, type = 'block') {
+  try {
+    const ids = await this.find({ blocker: userId, type }).distinct('blocked');
+    return ids.map(id => id.toString());
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Static method to get the ids of the users who have blocked someone
+blockSchema.statics.getBlockerIds = async function(userId) {
+  try {
+    const ids = await this.find({ blocked: userId, type: 'block' }).distinct('blocker');
+    return ids.map(id => id.toString());
+  } catch (error) {
+    throw error;
+  }
+};
+
+export default mongoose.model('Block', blockSchema);
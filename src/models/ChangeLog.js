@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+export const CHANGE_TYPES = [
+  'message_created',
+  'message_updated',
+  'message_deleted',
+  'messages_read',
+  'messages_delivered',
+  'conversation_updated',
+  'conversation_removed'
+];
+
+const changeLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seq: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: CHANGE_TYPES,
+    required: true
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Sync reads a user's entries in sequence order
+changeLogSchema.index({ user: 1, seq: 1 });
+
+// Entries are dropped once they are older than the sync retention window
+changeLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ChangeLog', changeLogSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+export const CONTACT_STATUSES = ['pending', 'accepted'];
+
+// A contact request from one user to another, which becomes the contact itself
+// once accepted. Declined and cancelled requests are deleted.
+const contactSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Both user ids in sorted order, so that a pair of users has a single entry
+  pairKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: CONTACT_STATUSES,
+    default: 'pending'
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.pairKey;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+contactSchema.index({ requester: 1, status: 1 });
+contactSchema.index({ recipient: 1, status: 1 });
+
+// Static method to build the key identifying a pair of users
+contactSchema.statics.getPairKey = function(userId1, userId2) {
+  return [userId1.toString(), userId2.toString()].sort().join(':');
+};
+
+// Static method to check whether two users are contacts
+contactSchema.statics.areContacts = async function(userId1, userId2) {
+  try {
+    return Boolean(await this.exists({
+      pairKey: this.getPairKey(userId1, userId2),
+      status: 'accepted'
+    }));
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Static method to get the ids of a user's contacts
+contactSchema.statics.getContactIds = async function(userId) {
+  try {
+    const contacts = await this.find({
+      status: 'accepted',
+      $or: [{ requester: userId }, { recipient: userId }]
+    }).select('requester recipient');
+
+    return contacts.map(contact => contact.getOtherUser(userId).toString());
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Method to get the other user of the pair
+contactSchema.methods.getOtherUser = function(userId) {
+  const requesterId = this.requester._id || this.requester;
+  return requesterId.toString() === userId.toString() ? this.recipient : this.requester;
+};
+
+export default mongoose.model('Contact', contactSchema);
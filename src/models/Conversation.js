@@ -1,6 +1,28 @@
 import mongoose from 'mongoose';
 
 const conversationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    default: 'direct'
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  avatar: {
+    type: String,
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -32,6 +54,7 @@ const conversationSchema = new mongoose.Schema({
 conversationSchema.index({ participants: 1 });
 conversationSchema.index({ lastActivity: -1 });
 conversationSchema.index({ isActive: 1 });
+conversationSchema.index({ type: 1 });
 
 // Compound index for finding conversations between specific users
 conversationSchema.index({ 
@@ -39,18 +62,25 @@ conversationSchema.index({
   isActive: 1 
 });
 
-// Static method to find or create conversation between two users
-conversationSchema.statics.findOrCreateConversation = async function(userId1, userId2) {
+// Static method to find or create conversation between two users.
+// When canCreate is given, it is awaited before a new conversation is created,
+// and null is returned instead if it resolves to false.
+conversationSchema.statics.findOrCreateConversation = async function(userId1, userId2, { canCreate } = {}) {
   try {
-    // Look for existing conversation between these two users
+    // Look for existing direct conversation between these two users
     let conversation = await this.findOne({
-      participants: { $all: [userId1, userId2] },
+      type: { $ne: 'group' },
+      participants: { $all: [userId1, userId2], $size: 2 },
       isActive: true
     }).populate('participants', 'username email')
       .populate('lastMessage');
 
     // If no conversation exists, create a new one
     if (!conversation) {
+      if (canCreate && !(await canCreate())) {
+        return null;
+      }
+
       conversation = await this.create({
         participants: [userId1, userId2]
       });
@@ -67,6 +97,69 @@ conversationSchema.statics.findOrCreateConversation = async function(userId1, us
   }
 };
 
+// Static method to create a group conversation owned by the given user
+conversationSchema.statics.createGroup = async function(ownerId, memberIds, { name, avatar } = {}) {
+  try {
+    const participants = [...new Set([ownerId, ...memberIds].map(id => id.toString()))];
+
+    const conversation = await this.create({
+      type: 'group',
+      name,
+      avatar,
+      owner: ownerId,
+      admins: [ownerId],
+      participants
+    });
+
+    return await this.findById(conversation._id)
+      .populate('participants', 'username email')
+      .populate('lastMessage');
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Helpers resolve both populated and raw ObjectId references
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+// Method to check if a user is a participant
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(p => toId(p) === userId.toString());
+};
+
+// Method to check if a user can manage group membership
+conversationSchema.methods.isAdmin = function(userId) {
+  return this.type === 'group' && this.admins.some(a => toId(a) === userId.toString());
+};
+
+// Method to add members to a group
+conversationSchema.methods.addMembers = function(memberIds) {
+  const existing = new Set(this.participants.map(toId));
+  memberIds
+    .filter(id => !existing.has(id.toString()))
+    .forEach(id => this.participants.push(id));
+  return this.save();
+};
+
+// Method to remove a member from a group, handing ownership over if needed
+conversationSchema.methods.removeMember = function(userId) {
+  const id = userId.toString();
+  this.participants = this.participants.filter(p => toId(p) !== id);
+  this.admins = this.admins.filter(a => toId(a) !== id);
+
+  if (this.participants.length === 0) {
+    this.isActive = false;
+  } else if (this.owner && toId(this.owner) === id) {
+    // Promote the longest-standing admin, or the oldest member if none remain
+    this.owner = this.admins[0] || this.participants[0];
+    if (this.admins.length === 0) {
+      this.admins.push(this.owner);
+    }
+  }
+
+  return this.save();
+};
+
 // Method to update last activity
 conversationSchema.methods.updateLastActivity = function(messageId = null) {
   this.lastActivity = new Date();
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Static method to atomically allocate the next value of a named sequence
+counterSchema.statics.next = async function(name) {
+  try {
+    const counter = await this.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return counter.seq;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Static method to read the current value without incrementing it
+counterSchema.statics.current = async function(name) {
+  try {
+    const counter = await this.findById(name);
+    return counter ? counter.seq : 0;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export default mongoose.model('Counter', counterSchema);
@@ -1,5 +1,42 @@
 import mongoose from 'mongoose';
 
+export const ATTACHMENT_TYPES = ['image', 'file'];
+
+const attachmentSchema = new mongoose.Schema({
+  storageKey: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Image dimensions and the box clients should render the thumbnail in
+  width: Number,
+  height: Number,
+  thumbnail: {
+    width: Number,
+    height: Number
+  }
+}, {
+  _id: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.storageKey;
+      return ret;
+    }
+  }
+});
+
 const messageSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,24 +46,73 @@ const messageSchema = new mongoose.Schema({
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Group messages address their recipients list instead of a single receiver
+    required: function() {
+      return !this.recipients || this.recipients.length === 0;
+    }
   },
+  recipients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   conversation: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Conversation',
     required: true
   },
+  // Client-generated id used to deduplicate retried sends
+  clientMessageId: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'Client message ID cannot exceed 64 characters']
+  },
   content: {
     type: String,
-    required: [true, 'Message content is required'],
+    // Attachments may be sent without a caption
+    required: [function() {
+      return !ATTACHMENT_TYPES.includes(this.messageType);
+    }, 'Message content is required'],
     trim: true,
     maxlength: [1000, 'Message cannot exceed 1000 characters']
   },
   messageType: {
     type: String,
-    enum: ['text', 'auto'],
+    enum: ['text', 'auto', ...ATTACHMENT_TYPES],
     default: 'text'
   },
+  // Sent by a bot account through an API key
+  fromBot: {
+    type: Boolean,
+    default: false
+  },
+  attachment: {
+    type: attachmentSchema,
+    required: function() {
+      return ATTACHMENT_TYPES.includes(this.messageType);
+    }
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  deliveredAt: {
+    type: Date
+  },
+  deliveredTo: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isRead: {
     type: Boolean,
     default: false
@@ -34,6 +120,46 @@ const messageSchema = new mongoose.Schema({
   readAt: {
     type: Date
   },
+  readBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: {
+    type: Date
+  },
+  revisions: [{
+    _id: false,
+    content: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reactions: [{
+    _id: false,
+    emoji: {
+      type: String,
+      required: true
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }],
   isDeleted: {
     type: Boolean,
     default: false
@@ -45,6 +171,13 @@ const messageSchema = new mongoose.Schema({
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
+      ret.isEdited = Boolean(ret.editedAt);
+      if (doc.isSelected('isRead')) {
+        ret.status = doc.getDeliveryStatus();
+      }
+      if (doc.populated('replyTo') && doc.replyTo) {
+        ret.replyTo = doc.replyTo.toReplyPreview();
+      }
       delete ret.__v;
       return ret;
     }
@@ -58,12 +191,19 @@ messageSchema.index({ receiver: 1 });
 messageSchema.index({ isRead: 1 });
 messageSchema.index({ messageType: 1 });
 messageSchema.index({ isDeleted: 1 });
+messageSchema.index({ threadRoot: 1, createdAt: 1 });
+messageSchema.index({ content: 'text' });
+messageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
 
 // Compound indexes
 messageSchema.index({ 
   conversation: 1, 
   isDeleted: 1, 
-  createdAt: -1 
+  createdAt: -1,
+  _id: -1
 });
 
 messageSchema.index({ 
@@ -72,6 +212,21 @@ messageSchema.index({
   isDeleted: 1 
 });
 
+messageSchema.index({ 
+  recipients: 1, 
+  'readBy.user': 1, 
+  isDeleted: 1 
+});
+
+// Unread filter covering both direct (receiver) and group (recipients) messages
+const unreadFilter = (userId) => ({
+  $or: [
+    { receiver: userId, isRead: false },
+    { recipients: userId, 'readBy.user': { $ne: userId } }
+  ],
+  isDeleted: false
+});
+
 // Method to mark message as read
 messageSchema.methods.markAsRead = function() {
   this.isRead = true;
@@ -79,6 +234,185 @@ messageSchema.methods.markAsRead = function() {
   return this.save();
 };
 
+// Method to mark message as read by a specific user (direct or group)
+messageSchema.methods.markAsReadBy = function(userId) {
+  if (this.receiver && this.receiver.toString() === userId.toString()) {
+    return this.isRead ? Promise.resolve(this) : this.markAsRead();
+  }
+
+  if (!this.isReadBy(userId)) {
+    this.readBy.push({ user: userId, readAt: new Date() });
+  }
+  return this.save();
+};
+
+// Method to check whether a user has read the message
+messageSchema.methods.isReadBy = function(userId) {
+  if (this.receiver && this.receiver.toString() === userId.toString()) {
+    return this.isRead;
+  }
+  return this.readBy.some(r => r.user.toString() === userId.toString());
+};
+
+// Method to compute the sender-facing status: 'sent', 'delivered' or 'read'.
+// Group messages only advance once every recipient has reached that state.
+// Reads by the recipients in privateReaderIds only count as deliveries.
+messageSchema.methods.getDeliveryStatus = function(privateReaderIds = new Set()) {
+  if (!this.recipients || this.recipients.length === 0) {
+    const isPrivateReader = Boolean(this.receiver) && privateReaderIds.has((this.receiver._id || this.receiver).toString());
+    if (this.isRead && !isPrivateReader) return 'read';
+    return this.deliveredAt || this.isRead ? 'delivered' : 'sent';
+  }
+
+  const readers = this.readBy.map(r => r.user.toString());
+  const readBy = new Set(readers.filter(id => !privateReaderIds.has(id)));
+  const deliveredTo = new Set([...this.deliveredTo.map(d => d.user.toString()), ...readers]);
+  const recipientIds = this.getRecipientIds();
+
+  if (recipientIds.every(id => readBy.has(id))) return 'read';
+  if (recipientIds.every(id => readBy.has(id) || deliveredTo.has(id))) return 'delivered';
+  return 'sent';
+};
+
+// Method to list the user ids the message was delivered to
+messageSchema.methods.getRecipientIds = function() {
+  if (this.recipients && this.recipients.length > 0) {
+    return this.recipients.map(r => (r._id || r).toString());
+  }
+  return [(this.receiver._id || this.receiver).toString()];
+};
+
+// Method to edit message content, keeping the previous version as a revision
+messageSchema.methods.edit = function(newContent) {
+  const editedAt = new Date();
+  this.revisions.push({ content: this.content, editedAt });
+  this.content = newContent;
+  this.editedAt = editedAt;
+  return this.save();
+};
+
+// Method to check whether the message is still within the edit window
+messageSchema.methods.isEditable = function(windowMs) {
+  return Date.now() - this.createdAt.getTime() <= windowMs;
+};
+
+// Method to build the compact preview embedded in replies to this message
+messageSchema.methods.toReplyPreview = function() {
+  const previewLength = 100;
+  return {
+    _id: this._id,
+    sender: this.sender,
+    messageType: this.messageType,
+    content: this.isDeleted || !this.content
+      ? null
+      : this.content.substring(0, previewLength) + (this.content.length > previewLength ? '...' : ''),
+    ...(this.attachment && !this.isDeleted && {
+      attachment: { fileName: this.attachment.fileName, mimeType: this.attachment.mimeType }
+    }),
+    isDeleted: this.isDeleted,
+    createdAt: this.createdAt
+  };
+};
+
+// Keep a message's reactions in step with the stored ones after an atomic update
+const applyStoredReactions = (message, stored) => {
+  if (stored) {
+    message.reactions = stored.reactions;
+    message.unmarkModified('reactions');
+  }
+};
+
+const REACTION_UPDATE_OPTIONS = { new: true, projection: { reactions: 1 } };
+
+// Method to add a user's emoji reaction; returns false if it was already there.
+// Reactions are updated atomically, so concurrent reactions from other users are kept.
+messageSchema.methods.addReaction = async function(userId, emoji) {
+  // Someone reacting with the same emoji at the same moment may create its entry
+  // first, in which case the user joins that entry on the second attempt
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const joined = await this.constructor.findOneAndUpdate(
+      { _id: this._id, reactions: { $elemMatch: { emoji, users: { $ne: userId } } } },
+      { $addToSet: { 'reactions.$.users': userId }, $inc: { 'reactions.$.count': 1 } },
+      REACTION_UPDATE_OPTIONS
+    );
+
+    const stored = joined || await this.constructor.findOneAndUpdate(
+      { _id: this._id, 'reactions.emoji': { $ne: emoji } },
+      { $push: { reactions: { emoji, count: 1, users: [userId] } } },
+      REACTION_UPDATE_OPTIONS
+    );
+
+    if (stored) {
+      applyStoredReactions(this, stored);
+      return true;
+    }
+  }
+
+  applyStoredReactions(this, await this.constructor.findById(this._id).select('reactions'));
+  return false;
+};
+
+// Method to remove a user's emoji reaction; returns false if there was none
+messageSchema.methods.removeReaction = async function(userId, emoji) {
+  const removed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, reactions: { $elemMatch: { emoji, users: userId } } },
+    { $pull: { 'reactions.$.users': userId }, $inc: { 'reactions.$.count': -1 } },
+    REACTION_UPDATE_OPTIONS
+  );
+
+  if (!removed) {
+    applyStoredReactions(this, await this.constructor.findById(this._id).select('reactions'));
+    return false;
+  }
+
+  // Drop the emoji once no one is left on it (unless someone reacted again meanwhile)
+  const emptied = await this.constructor.findOneAndUpdate(
+    { _id: this._id, reactions: { $elemMatch: { emoji, count: { $lte: 0 } } } },
+    { $pull: { reactions: { emoji, count: { $lte: 0 } } } },
+    REACTION_UPDATE_OPTIONS
+  );
+
+  applyStoredReactions(this, emptied || removed);
+  return true;
+};
+
+// Method to summarise reactions, optionally flagging the viewer's own
+messageSchema.methods.getReactionSummary = function(userId = null) {
+  return this.reactions.map(r => ({
+    emoji: r.emoji,
+    count: r.count,
+    ...(userId && {
+      reacted: r.users.some(u => (u._id || u).toString() === userId.toString())
+    })
+  }));
+};
+
+// Method to convert the message for a viewer. Reads by the recipients in privateReaderIds
+// (those who turned read receipts off) are shown to nobody but themselves.
+messageSchema.methods.toJSONFor = function(viewerId, privateReaderIds) {
+  const ret = this.toJSON();
+  const hidden = new Set([...privateReaderIds].filter(id => id !== viewerId.toString()));
+
+  if (hidden.size === 0) {
+    return ret;
+  }
+
+  if (this.isSelected('isRead')) {
+    ret.status = this.getDeliveryStatus(hidden);
+  }
+
+  if (this.receiver && hidden.has(this.getRecipientIds()[0])) {
+    ret.isRead = false;
+    delete ret.readAt;
+  }
+
+  if (ret.readBy) {
+    ret.readBy = ret.readBy.filter(r => !hidden.has((r.user._id || r.user).toString()));
+  }
+
+  return ret;
+};
+
 // Method to soft delete message
 messageSchema.methods.softDelete = function() {
   this.isDeleted = true;
@@ -86,13 +420,55 @@ messageSchema.methods.softDelete = function() {
   return this.save();
 };
 
+// Static method to filter message ids down to those not yet delivered to a user
+messageSchema.statics.findUndelivered = async function(userId, filter = {}) {
+  try {
+    return await this.find({
+      ...filter,
+      $or: [
+        { receiver: userId, deliveredAt: null },
+        { recipients: userId, 'deliveredTo.user': { $ne: userId } }
+      ],
+      isDeleted: false
+    }).select('_id sender conversation');
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Static method to mark messages as delivered to a user (direct or group)
+messageSchema.statics.markAsDelivered = async function(messageIds, userId, deliveredAt = new Date()) {
+  try {
+    await Promise.all([
+      this.updateMany(
+        { _id: { $in: messageIds }, receiver: userId, deliveredAt: null },
+        { $set: { deliveredAt } }
+      ),
+      this.updateMany(
+        { _id: { $in: messageIds }, recipients: userId, 'deliveredTo.user': { $ne: userId } },
+        { $push: { deliveredTo: { user: userId, deliveredAt } } }
+      )
+    ]);
+  } catch (error) {
+    throw error;
+  }
+};
+
 // Static method to get unread message count for a user
 messageSchema.statics.getUnreadCount = async function(userId) {
+  try {
+    return await this.countDocuments(unreadFilter(userId));
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Static method to get unread message count for a user in one conversation
+messageSchema.statics.getConversationUnreadCount = async function(conversationId, userId) {
   try {
     return await this.countDocuments({
-      receiver: userId,
-      isRead: false,
-      isDeleted: false
+      conversation: conversationId,
+      ...unreadFilter(userId)
     });
   } catch (error) {
     throw error;
@@ -102,20 +478,39 @@ messageSchema.statics.getUnreadCount = async function(userId) {
 // Static method to mark all messages in a conversation as read
 messageSchema.statics.markConversationAsRead = async function(conversationId, userId) {
   try {
-    return await this.updateMany(
-      {
-        conversation: conversationId,
-        receiver: userId,
-        isRead: false,
-        isDeleted: false
-      },
-      {
-        $set: {
-          isRead: true,
-          readAt: new Date()
+    const readAt = new Date();
+
+    const [direct, group] = await Promise.all([
+      this.updateMany(
+        {
+          conversation: conversationId,
+          receiver: userId,
+          isRead: false,
+          isDeleted: false
+        },
+        {
+          $set: {
+            isRead: true,
+            readAt
+          }
         }
-      }
-    );
+      ),
+      this.updateMany(
+        {
+          conversation: conversationId,
+          recipients: userId,
+          'readBy.user': { $ne: userId },
+          isDeleted: false
+        },
+        {
+          $push: { readBy: { user: userId, readAt } }
+        }
+      )
+    ]);
+
+    return {
+      modifiedCount: direct.modifiedCount + group.modifiedCount
+    };
   } catch (error) {
     throw error;
   }
@@ -1,6 +1,43 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+export const PERMISSIONS = [
+  'messages:read',
+  'messages:send',
+  'messages:moderate',
+  'conversations:read',
+  'conversations:write',
+  'stats:read',
+  'users:manage',
+  'roles:manage',
+  'bots:manage'
+];
+
+const BASE_PERMISSIONS = ['messages:read', 'messages:send', 'conversations:read', 'conversations:write'];
+
+// What each role may do; individual users can be granted or denied more on top
+export const ROLE_PERMISSIONS = {
+  user: BASE_PERMISSIONS,
+  moderator: [...BASE_PERMISSIONS, 'messages:moderate', 'stats:read'],
+  admin: PERMISSIONS
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Who may start a new conversation with a user
+export const CONVERSATION_AUDIENCES = ['everyone', 'contacts'];
+
+// Who may see a user's last seen time or online status, widest first
+export const PRESENCE_AUDIENCES = ['everyone', 'contacts', 'nobody'];
+
+// A custom status without text or past its expiry is left out
+const getActiveStatus = (status) => {
+  if (!status || !status.text || (status.expiresAt && status.expiresAt <= new Date())) {
+    return undefined;
+  }
+  return status;
+};
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -24,28 +61,183 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false
   },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Display name cannot exceed 50 characters']
+  },
+  avatar: {
+    type: String,
+    trim: true
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Bio cannot exceed 300 characters']
+  },
+  // Free-form status shown on the profile, hidden once it expires
+  customStatus: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Status cannot exceed 100 characters']
+    },
+    expiresAt: {
+      type: Date
+    }
+  },
+  // IANA time zone (e.g. Europe/Istanbul) and BCP 47 locale (e.g. tr-TR)
+  timezone: {
+    type: String
+  },
+  locale: {
+    type: String
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Bot accounts act through API keys and cannot log in with a password
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+  botOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  // Per-user overrides of the role's permissions
+  grantedPermissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  revokedPermissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // TOTP secrets are stored encrypted; recovery codes as SHA-256 hashes
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  privacy: {
+    conversationsFrom: {
+      type: String,
+      enum: CONVERSATION_AUDIENCES,
+      default: 'everyone'
+    },
+    lastSeenVisibleTo: {
+      type: String,
+      enum: PRESENCE_AUDIENCES,
+      default: 'everyone'
+    },
+    onlineVisibleTo: {
+      type: String,
+      enum: PRESENCE_AUDIENCES,
+      default: 'everyone'
+    },
+    // Whether senders are told when the user reads their messages
+    readReceipts: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Identity at the single sign-on provider, set when the account is linked
+  oidc: {
+    issuer: String,
+    subject: String,
+    linkedAt: Date
+  },
   lastSeen: {
     type: Date,
     default: Date.now
   },
+  // Hashed refresh tokens grouped into families (one per login session).
+  // Rotated tokens are kept until they expire so their reuse can be detected.
   refreshTokens: [{
-    token: String,
+    _id: false,
+    tokenHash: String,
+    family: String,
     createdAt: {
       type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days
+      default: Date.now
+    },
+    expiresAt: Date,
+    rotatedAt: {
+      type: Date
     }
+  }],
+  // One entry per login session (refresh token family), describing the device
+  sessions: [{
+    _id: false,
+    family: String,
+    userAgent: String,
+    ip: String,
+    deviceName: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: Date
   }]
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.passwordChangedAt;
+      if (!getActiveStatus(ret.customStatus)) {
+        delete ret.customStatus;
+      }
+      if (ret.twoFactor) {
+        ret.twoFactor = {
+          enabled: ret.twoFactor.enabled,
+          enabledAt: ret.twoFactor.enabledAt
+        };
+      }
+      delete ret.oidc;
       delete ret.refreshTokens;
+      delete ret.sessions;
       delete ret.__v;
       return ret;
     }
@@ -56,6 +248,13 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ botOwner: 1 });
+userSchema.index({ 'refreshTokens.tokenHash': 1 });
+userSchema.index(
+  { 'oidc.issuer': 1, 'oidc.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oidc.subject': { $exists: true } } }
+);
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -64,6 +263,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Access tokens issued before a password change stop being accepted
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -75,10 +279,69 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether the password changed after a token was issued (iat in seconds).
+// Tokens issued within the same second as the change are still accepted.
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
+// Permissions of the user's role plus any granted to them, minus any revoked
+userSchema.methods.getPermissions = function() {
+  const revoked = new Set(this.revokedPermissions || []);
+  const permissions = new Set([
+    ...(ROLE_PERMISSIONS[this.role] || []),
+    ...(this.grantedPermissions || [])
+  ]);
+  return [...permissions].filter(permission => !revoked.has(permission));
+};
+
+// Check a permission
+userSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Profile fields anyone may see. Contacts and the user themselves also see
+// the time zone and locale.
+userSchema.methods.getPublicProfile = function({ includePersonal = false } = {}) {
+  return {
+    _id: this._id,
+    username: this.username,
+    displayName: this.displayName,
+    avatar: this.avatar,
+    bio: this.bio,
+    customStatus: getActiveStatus({
+      text: this.customStatus.text,
+      expiresAt: this.customStatus.expiresAt
+    }),
+    isBot: this.isBot,
+    ...(includePersonal && {
+      timezone: this.timezone,
+      locale: this.locale
+    }),
+    lastSeen: this.lastSeen,
+    createdAt: this.createdAt
+  };
+};
+
 // Update last seen
 userSchema.methods.updateLastSeen = function() {
   this.lastSeen = new Date();
   return this.save();
 };
 
+// Static method to pick out, among the given users, those who turned read receipts off
+userSchema.statics.getPrivateReaderIds = async function(userIds) {
+  try {
+    const users = await this.find({
+      _id: { $in: userIds },
+      'privacy.readReceipts': false
+    }).select('_id');
+
+    return new Set(users.map(user => user._id.toString()));
+  } catch (error) {
+    throw error;
+  }
+};
+
 export default mongoose.model('User', userSchema);
\ No newline at end of file
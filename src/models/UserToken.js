@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+export const USER_TOKEN_PURPOSES = ['email_verification', 'password_reset', 'account_unlock'];
+
+// Single-use tokens sent to a user by email. Only the SHA-256 hash is stored;
+// a token is deleted when it is consumed and expires on its own otherwise.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: USER_TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+
+// Expired tokens are removed by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to consume a live token, so that it can only be used once
+userTokenSchema.statics.consume = async function(tokenHash, purpose) {
+  try {
+    return await this.findOneAndDelete({
+      tokenHash,
+      purpose,
+      expiresAt: { $gt: new Date() }
+    });
+  } catch (error) {
+    throw error;
+  }
+};
+
+export default mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,422 @@
+import express from 'express';
+import User from '../models/User.js';
+import { authenticateToken, requirePermission, rejectApiKeys } from '../middleware/auth.js';
+import {
+  validateUserId,
+  validateAdminUserList,
+  validateUpdateRole,
+  validateUpdatePermissions,
+  validateUpdateUserStatus
+} from '../middleware/validation.js';
+import { revokeAllRefreshTokens } from '../services/tokenService.js';
+import { clearFailedLogins } from '../services/loginThrottleService.js';
+import { disconnectUserSockets, refreshUserSockets } from '../socket/socketHandler.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Administration always requires a person's access token
+router.use(rejectApiKeys);
+
+// Admin view of a user, including access control fields
+const formatUser = (user) => ({
+  ...user.toJSON(),
+  permissions: user.getPermissions()
+});
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List all users, including deactivated ones
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for username or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/users', authenticateToken, requirePermission('users:manage'), validateAdminUserList, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { search, role, isActive } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {
+      ...(role && { role }),
+      ...(isActive !== undefined && { isActive: isActive === 'true' })
+    };
+
+    if (search) {
+      query.$or = [
+        { username: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const [users, totalUsers] = await Promise.all([
+      User.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalUsers / limit);
+
+    res.json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: {
+        users: users.map(formatUser),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalUsers,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve users'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error, or changing your own role
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:userId/role', authenticateToken, requirePermission('roles:manage'), validateUpdateRole, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    // Prevents admins from accidentally locking themselves out
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { role }, { new: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await refreshUserSockets(user._id);
+
+    logger.info(`User ${user._id} role set to ${role} by ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        user: formatUser(user)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/permissions:
+ *   put:
+ *     summary: Grant or revoke individual permissions
+ *     description: Replaces the user's permission overrides. Granted permissions are added to those of the role; revoked ones are removed even if the role includes them.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               grantedPermissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               revokedPermissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Permissions updated successfully
+ *       400:
+ *         description: Validation error, or changing your own permissions
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:userId/permissions', authenticateToken, requirePermission('roles:manage'), validateUpdatePermissions, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { grantedPermissions = [], revokedPermissions = [] } = req.body;
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own permissions'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      {
+        grantedPermissions: [...new Set(grantedPermissions)],
+        revokedPermissions: [...new Set(revokedPermissions)]
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await refreshUserSockets(user._id);
+
+    logger.info(`User ${user._id} permissions updated by ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Permissions updated successfully',
+      data: {
+        user: formatUser(user)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update permissions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/status:
+ *   put:
+ *     summary: Activate or deactivate a user
+ *     description: Deactivating signs the user out of every session and disconnects their sockets.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Status updated successfully
+ *       400:
+ *         description: Validation error, or deactivating yourself
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:userId/status', authenticateToken, requirePermission('users:manage'), validateUpdateUserStatus, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { isActive } = req.body;
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own status'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { isActive }, { new: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!isActive) {
+      await revokeAllRefreshTokens(user._id);
+      disconnectUserSockets(user._id);
+    }
+
+    logger.info(`User ${user._id} ${isActive ? 'activated' : 'deactivated'} by ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Status updated successfully',
+      data: {
+        user: formatUser(user)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Lift a user's login lockout
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/unlock', authenticateToken, requirePermission('users:manage'), validateUserId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await clearFailedLogins(user.email);
+
+    logger.info(`User ${user._id} login lockout lifted by ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+
+  } catch (error) {
+    logger.error('Admin unlock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
+export default router;
@@ -1,16 +1,97 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, rejectApiKeys } from '../middleware/auth.js';
+import {
+  issueTokens,
+  generateAccessToken,
+  rotateRefreshToken,
+  findTokenFamily,
+  revokeFamily,
+  revokeAllRefreshTokens,
+  revokeAccessToken,
+  listSessions
+} from '../services/tokenService.js';
+import {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  unlockAccount
+} from '../services/accountService.js';
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins
+} from '../services/loginThrottleService.js';
 import { 
   validateRegister, 
   validateLogin, 
-  validateRefreshToken 
+  validateRefreshToken,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
+  validateUnlockAccount,
+  validateOidcAuthorize,
+  validateOidcCallback
 } from '../middleware/validation.js';
+import {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken
+} from '../services/twoFactorService.js';
+import {
+  isOidcEnabled,
+  createAuthorizationUrl,
+  completeLogin,
+  OIDC_BINDING_COOKIE,
+  OIDC_STATE_TTL_SECONDS
+} from '../services/oidcService.js';
+import { disconnectUserSockets, disconnectSessionSockets } from '../socket/socketHandler.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Account endpoints are for people; bots only authenticate with API keys
+router.use(rejectApiKeys);
+
+// Describe the device a session is being started from
+const getDeviceInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+  deviceName: req.body.deviceName
+});
+
+// Answer a login attempt refused by brute-force protection
+const sendLoginThrottled = (res, { locked, retryAfterMs }) => {
+  res.set('Retry-After', Math.ceil(retryAfterMs / 1000).toString());
+  return res.status(429).json({
+    success: false,
+    message: locked
+      ? 'Too many failed login attempts, sign-in is temporarily locked'
+      : 'Too many failed login attempts, please wait before trying again'
+  });
+};
+
+// Shape a stored session for API responses
+const formatSession = (session, currentSessionId) => ({
+  id: session.family,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  current: session.family === currentSessionId
+});
+
 /**
  * @swagger
  * /api/auth/register:
@@ -38,6 +119,10 @@ const router = express.Router();
  *               password:
  *                 type: string
  *                 minLength: 6
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Label shown in the session list (defaults to one derived from the user agent)
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -71,22 +156,15 @@ router.post('/register', validateRegister, async (req, res) => {
 
     await user.save();
 
-    // Generate tokens
-    const accessToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
-    );
-
-    const refreshToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-    );
-
-    // Save refresh token
-    user.refreshTokens.push({ token: refreshToken });
-    await user.save();
+    // Generate tokens, starting a new refresh token family
+    const { accessToken, refreshToken } = await issueTokens(user._id, getDeviceInfo(req));
+
+    // A mail failure must not fail the registration; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error(`Failed to send verification email to ${user.email}:`, mailError);
+    }
 
     logger.info(`New user registered: ${user.email}`);
 
@@ -130,20 +208,35 @@ router.post('/register', validateRegister, async (req, res) => {
  *                 format: email
  *               password:
  *                 type: string
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Label shown in the session list (defaults to one derived from the user agent)
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a challenge token (twoFactorRequired) when 2FA is enabled
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
  */
 router.post('/login', validateLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Brute-force protection, per account and per IP
+    const throttle = await checkLoginAllowed(email, req.ip);
+
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle);
+    }
+
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user || !user.isActive) {
+    // Bots can only authenticate with API keys
+    if (!user || !user.isActive || user.isBot) {
+      await recordFailedLogin(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -154,31 +247,33 @@ router.post('/login', validateLogin, async (req, res) => {
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
+      await recordFailedLogin(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // With 2FA on, tokens are only issued by /2fa/verify. Failed attempts are only
+    // cleared there, so that knowing the password does not allow guessing codes.
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user._id, getDeviceInfo(req))
+        }
+      });
+    }
+
+    await clearFailedLogins(email);
+
     // Update last seen
     await user.updateLastSeen();
 
-    // Generate tokens
-    const accessToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
-    );
-
-    const refreshToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-    );
-
-    // Save refresh token
-    user.refreshTokens.push({ token: refreshToken });
-    await user.save();
+    // Generate tokens, starting a new refresh token family
+    const { accessToken, refreshToken } = await issueTokens(user._id, getDeviceInfo(req));
 
     logger.info(`User logged in: ${user.email}`);
 
@@ -203,9 +298,10 @@ router.post('/login', validateLogin, async (req, res) => {
 
 /**
  * @swagger
- * /api/auth/refresh:
+ * /api/auth/2fa/verify:
  *   post:
- *     summary: Refresh access token
+ *     summary: Complete a login with a second factor
+ *     description: Exchanges the challenge token returned by login, plus a TOTP code or an unused recovery code, for access and refresh tokens.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -214,79 +310,144 @@ router.post('/login', validateLogin, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - refreshToken
+ *               - challengeToken
+ *               - code
  *             properties:
- *               refreshToken:
+ *               challengeToken:
+ *                 type: string
+ *               code:
  *                 type: string
+ *                 description: 6-digit TOTP code or a recovery code
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Login successful
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid challenge token or code
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
  */
-router.post('/refresh', validateRefreshToken, async (req, res) => {
+router.post('/2fa/verify', validateTwoFactorLogin, async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const { challengeToken, code } = req.body;
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    const challenge = verifyChallengeToken(challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
 
-    // Find user and check if refresh token exists
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(challenge.userId);
 
     if (!user || !user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Invalid or expired challenge token'
       });
     }
 
-    const tokenExists = user.refreshTokens.some(t => t.token === refreshToken);
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle);
+    }
+
+    const method = await verifySecondFactor(user._id, code);
 
-    if (!tokenExists) {
+    if (!method) {
+      await recordFailedLogin(user.email, req.ip);
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Invalid authentication code'
       });
     }
 
-    // Generate new access token
-    const accessToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
-    );
+    await clearFailedLogins(user.email);
+
+    // Update last seen
+    await user.updateLastSeen();
+
+    // The device name was chosen at the password step
+    const { accessToken, refreshToken } = await issueTokens(user._id, {
+      ...getDeviceInfo(req),
+      deviceName: challenge.deviceName
+    });
+
+    logger.info(`User logged in with ${method === 'totp' ? 'TOTP' : 'recovery code'}: ${user.email}`);
 
     res.json({
       success: true,
-      message: 'Token refreshed successfully',
+      message: 'Login successful',
       data: {
-        accessToken
+        user: user.toJSON(),
+        accessToken,
+        refreshToken
       }
     });
 
   } catch (error) {
-    logger.error('Token refresh error:', error);
-    
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+    logger.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret and its otpauth URI (for a QR code). 2FA stays off until the secret is confirmed with /2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const result = await startEnrollment(req.user);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: result.error.message
       });
     }
 
+    res.json({
+      success: true,
+      message: 'Scan the otpauth URI with an authenticator app, then confirm with a code',
+      data: {
+        secret: result.secret,
+        otpauthUrl: result.otpauthUrl
+      }
+    });
+
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
     res.status(500).json({
       success: false,
-      message: 'Token refresh failed'
+      message: 'Failed to start two-factor setup'
     });
   }
 });
 
 /**
  * @swagger
- * /api/auth/logout:
+ * /api/auth/2fa/enable:
  *   post:
- *     summary: Logout user
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     description: Returns one-time recovery codes; they are not shown again.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -297,39 +458,953 @@ router.post('/refresh', validateRefreshToken, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - refreshToken
+ *               - code
  *             properties:
- *               refreshToken:
+ *               code:
  *                 type: string
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code, or setup not started
  *       401:
  *         description: Unauthorized
  */
-router.post('/logout', authenticateToken, async (req, res) => {
+router.post('/2fa/enable', authenticateToken, validateTwoFactorCode, async (req, res) => {
   try {
-    const { refreshToken } = req.body;
-    const user = req.user;
+    const result = await confirmEnrollment(req.user._id, req.body.code);
 
-    // Remove the specific refresh token
-    if (refreshToken) {
-      user.refreshTokens = user.refreshTokens.filter(t => t.token !== refreshToken);
-      await user.save();
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
     }
 
-    logger.info(`User logged out: ${user.email}`);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes: result.recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    logger.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all recovery codes; the old ones stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *       400:
+ *         description: Two-factor authentication not enabled
+ *       401:
+ *         description: Unauthorized or invalid code
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ */
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode, async (req, res) => {
+  try {
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Guessing codes here is throttled like the login's second step
+    const throttle = await checkLoginAllowed(req.user.email, req.ip);
+
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle);
+    }
+
+    const method = await verifySecondFactor(req.user._id, req.body.code);
+
+    if (!method) {
+      await recordFailedLogin(req.user.email, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await clearFailedLogins(req.user.email);
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
 
     res.json({
       success: true,
-      message: 'Logout successful'
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes
+      }
     });
 
   } catch (error) {
-    logger.error('Logout error:', error);
+    logger.error('Recovery code regeneration error:', error);
     res.status(500).json({
       success: false,
-      message: 'Logout failed'
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit TOTP code or a recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Two-factor authentication not enabled
+ *       401:
+ *         description: Unauthorized, or invalid password or code
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ */
+router.post('/2fa/disable', authenticateToken, validateDisableTwoFactor, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Guessing the password or code here is throttled like login
+    const throttle = await checkLoginAllowed(req.user.email, req.ip);
+
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle);
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid || !(await verifySecondFactor(user._id, code))) {
+      await recordFailedLogin(user.email, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    await clearFailedLogins(user.email);
+
+    await disableTwoFactor(user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// The binding cookie only travels to the single sign-on endpoints
+const oidcBindingCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/oidc'
+});
+
+// Read one cookie from the request (no cookie parser is installed for the rest of the API)
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+  const match = cookies.find(cookie => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : undefined;
+};
+
+/**
+ * @swagger
+ * /api/auth/oidc/authorize:
+ *   get:
+ *     summary: Start a single sign-on login
+ *     description: Returns the identity provider URL to send the browser to (authorization code flow with PKCE). The provider redirects back to the configured redirect URI with a code and state, which are then passed to /oidc/callback. Also sets an HttpOnly oidc_binding cookie that the callback request must carry.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: deviceName
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Label shown in the session list (defaults to one derived from the user agent)
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *       404:
+ *         description: Single sign-on is not configured
+ *       502:
+ *         description: Identity provider is unavailable
+ */
+router.get('/oidc/authorize', validateOidcAuthorize, async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const result = await createAuthorizationUrl({ deviceName: req.query.deviceName });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    res.cookie(OIDC_BINDING_COOKIE, result.binding, {
+      ...oidcBindingCookieOptions(),
+      maxAge: OIDC_STATE_TTL_SECONDS * 1000
+    });
+
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl: result.authorizationUrl,
+        state: result.state
+      }
+    });
+
+  } catch (error) {
+    logger.error('OIDC authorize error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start single sign-on'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   post:
+ *     summary: Complete a single sign-on login
+ *     description: Exchanges the code and state the identity provider redirected back with for access and refresh tokens. The request must carry the oidc_binding cookie set when the sign-in started. The account is found by its linked identity or verified email, or created on first sign-in. Accounts with 2FA enabled get a challenge token instead, as with password login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               iss:
+ *                 type: string
+ *                 description: Issuer parameter of the redirect, when the provider sends one
+ *     responses:
+ *       200:
+ *         description: Login successful, or a challenge token (twoFactorRequired) when 2FA is enabled
+ *       201:
+ *         description: Account created on first sign-in and logged in
+ *       400:
+ *         description: Invalid or expired state, or a sign-in started from another browser
+ *       401:
+ *         description: The identity provider rejected the sign-in
+ *       403:
+ *         description: No usable account for this identity (including an account with the same unverified email), or the account is deactivated
+ *       404:
+ *         description: Single sign-on is not configured
+ *       502:
+ *         description: Identity provider is unavailable
+ */
+router.post('/oidc/callback', validateOidcCallback, async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const { code, state, iss } = req.body;
+    const result = await completeLogin({ code, state, iss, binding: readCookie(req, OIDC_BINDING_COOKIE) });
+
+    // The state is spent either way
+    res.clearCookie(OIDC_BINDING_COOKIE, oidcBindingCookieOptions());
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    const { user, created } = result;
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    // The device name was chosen when the sign-in started
+    const deviceInfo = { ...getDeviceInfo(req), deviceName: result.deviceName };
+
+    // The provider's own checks do not replace the account's second factor
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user._id, deviceInfo)
+        }
+      });
+    }
+
+    // Update last seen
+    await user.updateLastSeen();
+
+    const { accessToken, refreshToken } = await issueTokens(user._id, deviceInfo);
+
+    logger.info(`User logged in with single sign-on: ${user.email}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toJSON(),
+        accessToken,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    logger.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Rotates the refresh token. The response carries a new refresh token and the presented one stops working; presenting it again revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       401:
+ *         description: Invalid or reused refresh token
+ */
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Rotate: the presented token is retired and a new pair is issued in its family
+    const result = await rotateRefreshToken(refreshToken);
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error === 'reused'
+          ? 'Refresh token reuse detected, session revoked'
+          : 'Invalid refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken
+      }
+    });
+
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout user
+ *     description: Ends the session. The access token and every other access token of the session are rejected immediately, and the session's sockets are disconnected.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const user = req.user;
+
+    // The access token used for this request stops working right away
+    await revokeAccessToken(req.accessToken);
+
+    // Revoke the session (refresh token family) the refresh token, or else the access token, belongs to
+    const family = refreshToken
+      ? await findTokenFamily(user._id, refreshToken)
+      : req.sessionId;
+
+    if (family) {
+      await revokeFamily(user._id, family);
+      disconnectSessionSockets(family);
+    }
+
+    logger.info(`User logged out: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Consumes the single-use token from the verification email.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.post('/verify-email', validateVerifyEmail, async (req, res) => {
+  try {
+    const user = await verifyEmail(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: user.toJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Email verification failed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: Issues a new verification link; earlier links stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/unlock:
+ *   post:
+ *     summary: Unlock sign-in after a lockout
+ *     description: Consumes the single-use token from the account locked email and clears the account's failed login attempts.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid or expired unlock token
+ */
+router.post('/unlock', validateUnlockAccount, async (req, res) => {
+  try {
+    const user = await unlockAccount(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+
+  } catch (error) {
+    logger.error('Account unlock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Account unlock failed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Only verified addresses get a reset link. Always responds the same way, whether or not the email is registered and verified.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ */
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email);
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: Consumes the single-use token from the reset email and signs the user out of every session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post('/reset-password', validateResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const user = await resetPassword(token, password);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in again'
+    });
+
+  } catch (error) {
+    logger.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Password reset failed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change password
+ *     description: Signs out every other session and disconnects their sockets. Access tokens issued before the change are rejected, so the response carries a new access token for the current session; its refresh token keeps working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Validation error or incorrect current password
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/password', authenticateToken, validateChangePassword, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+
+    if (!isCurrentPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // The pre-save hook hashes the password and records passwordChangedAt
+    user.password = newPassword;
+    await user.save();
+
+    // Keep only the caller's session; tokens without a session revoke everything
+    await revokeAllRefreshTokens(user._id, { exceptFamily: req.sessionId });
+    disconnectUserSockets(user._id, { exceptSession: req.sessionId });
+
+    logger.info(`Password changed for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        accessToken: generateAccessToken(user._id, req.sessionId)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List logged-in sessions
+ *     description: One entry per device the user is logged in on; the caller's own session is marked as current.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.sessionId))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Log out everywhere
+ *     description: Revokes every session of the user, including the caller's, and disconnects all of their sockets.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all sessions
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    await revokeAllRefreshTokens(user._id);
+    disconnectUserSockets(user._id);
+
+    logger.info(`User logged out everywhere: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+
+  } catch (error) {
+    logger.error('Logout everywhere error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out of all sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Logs the device out and disconnects its sockets.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/sessions/:sessionId', authenticateToken, validateSessionId, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const user = req.user;
+
+    const sessions = await listSessions(user._id);
+
+    if (!sessions.some(session => session.family === sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeFamily(user._id, sessionId);
+    disconnectSessionSockets(sessionId);
+
+    logger.info(`Session ${sessionId} revoked for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
     });
   }
 });
@@ -354,7 +1429,8 @@ router.get('/me', authenticateToken, async (req, res) => {
       success: true,
       message: 'Profile retrieved successfully',
       data: {
-        user: req.user.toJSON()
+        user: req.user.toJSON(),
+        permissions: req.user.getPermissions()
       }
     });
   } catch (error) {
@@ -0,0 +1,330 @@
+import express from 'express';
+import { authenticateToken, requirePermission, rejectApiKeys } from '../middleware/auth.js';
+import {
+  validateCreateBot,
+  validateBotId,
+  validateCreateApiKey,
+  validateListApiKeys,
+  validateApiKeyId
+} from '../middleware/validation.js';
+import {
+  createBot,
+  listBots,
+  deleteBot,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} from '../services/apiKeyService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Bots and their keys are managed by people, never with an API key
+router.use(rejectApiKeys);
+
+/**
+ * @swagger
+ * /api/auth/bots:
+ *   post:
+ *     summary: Create a bot account
+ *     description: Bots cannot log in with a password; they authenticate with API keys. Requires the bots:manage permission.
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 30
+ *     responses:
+ *       201:
+ *         description: Bot created successfully
+ *       400:
+ *         description: Validation error or username already taken
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/bots', authenticateToken, requirePermission('bots:manage'), validateCreateBot, async (req, res) => {
+  try {
+    const { bot, error } = await createBot(req.user._id, { username: req.body.username });
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Bot created successfully',
+      data: {
+        bot: bot.toJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create bot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create bot'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/bots:
+ *   get:
+ *     summary: List your bot accounts
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Bots retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/bots', authenticateToken, requirePermission('bots:manage'), async (req, res) => {
+  try {
+    const bots = await listBots(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Bots retrieved successfully',
+      data: {
+        bots: bots.map(bot => bot.toJSON())
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get bots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve bots'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/bots/{botId}:
+ *   delete:
+ *     summary: Delete a bot account
+ *     description: Deactivates the bot, revokes all of its API keys and disconnects its sockets.
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bot deleted successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Bot not found
+ */
+router.delete('/bots/:botId', authenticateToken, requirePermission('bots:manage'), validateBotId, async (req, res) => {
+  try {
+    const deleted = await deleteBot(req.user._id, req.params.botId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bot not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bot deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete bot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete bot'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   post:
+ *     summary: Create an API key for one of your bots
+ *     description: The key is returned only in this response. Send it as `X-API-Key` or as a bearer token; it can only use the given scopes.
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - botId
+ *               - name
+ *               - scopes
+ *             properties:
+ *               botId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [messages:read, messages:send, conversations:read, conversations:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 3650
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Bot not found
+ */
+router.post('/api-keys', authenticateToken, requirePermission('bots:manage'), validateCreateApiKey, async (req, res) => {
+  try {
+    const { botId, name, scopes, expiresInDays } = req.body;
+
+    const { apiKey, key, error } = await createApiKey(req.user._id, { botId, name, scopes, expiresInDays });
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully, store it now as it will not be shown again',
+      data: {
+        apiKey: apiKey.toJSON(),
+        key
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   get:
+ *     summary: List the API keys of your bots
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: botId
+ *         schema:
+ *           type: string
+ *         description: Only list the keys of this bot
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/api-keys', authenticateToken, requirePermission('bots:manage'), validateListApiKeys, async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user._id, { botId: req.query.botId });
+
+    res.json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: {
+        apiKeys: apiKeys.map(apiKey => apiKey.toJSON())
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve API keys'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately and sockets opened with it are disconnected.
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/api-keys/:keyId', authenticateToken, requirePermission('bots:manage'), validateApiKeyId, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.user._id, req.params.keyId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,378 @@
+import express from 'express';
+import { authenticateToken, rejectApiKeys } from '../middleware/auth.js';
+import {
+  validateUserId,
+  validateSendContactRequest,
+  validateContactRequestId,
+  validateListContactRequests
+} from '../middleware/validation.js';
+import {
+  sendContactRequest,
+  acceptContactRequest,
+  declineContactRequest,
+  cancelContactRequest,
+  removeContact,
+  listContacts,
+  listContactRequests
+} from '../services/contactService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Contacts belong to people, not to API keys
+router.use(rejectApiKeys);
+
+/**
+ * @swagger
+ * /api/contacts:
+ *   get:
+ *     summary: List contacts
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Contacts retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const contacts = await listContacts(userId);
+
+    res.json({
+      success: true,
+      message: 'Contacts retrieved successfully',
+      data: {
+        contacts: contacts.map(contact => ({
+          user: contact.getOtherUser(userId),
+          since: contact.acceptedAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('List contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve contacts'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contacts/requests:
+ *   get:
+ *     summary: List pending contact requests
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [incoming, outgoing]
+ *           default: incoming
+ *         description: Requests received or sent by the current user
+ *     responses:
+ *       200:
+ *         description: Contact requests retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/requests', authenticateToken, validateListContactRequests, async (req, res) => {
+  try {
+    const requests = await listContactRequests(req.user._id, req.query.direction);
+
+    res.json({
+      success: true,
+      message: 'Contact requests retrieved successfully',
+      data: {
+        requests: requests.map(request => request.toJSON())
+      }
+    });
+
+  } catch (error) {
+    logger.error('List contact requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve contact requests'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contacts/requests:
+ *   post:
+ *     summary: Send a contact request
+ *     description: The other user is notified with a contact_request_received socket event. Sending a request to a user who already sent you one accepts theirs.
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The user's own pending request was accepted instead
+ *       201:
+ *         description: Contact request sent
+ *       400:
+ *         description: Validation error, own user ID, already a contact or request already sent
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: A block between the users
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: A request between the users was created at the same time
+ */
+router.post('/requests', authenticateToken, validateSendContactRequest, async (req, res) => {
+  try {
+    const { request, accepted, error } = await sendContactRequest(req.user._id, req.body.userId);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(accepted ? 200 : 201).json({
+      success: true,
+      message: accepted ? 'Contact request accepted' : 'Contact request sent',
+      data: {
+        request: request.toJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Send contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send contact request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contacts/requests/{requestId}/accept:
+ *   post:
+ *     summary: Accept a contact request
+ *     description: The requester is notified with a contact_request_accepted socket event.
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contact request accepted
+ *       400:
+ *         description: Invalid contact request ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Either user has blocked the other
+ *       404:
+ *         description: Contact request not found
+ */
+router.post('/requests/:requestId/accept', authenticateToken, validateContactRequestId, async (req, res) => {
+  try {
+    const { request, error } = await acceptContactRequest(req.user._id, req.params.requestId);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Contact request accepted',
+      data: {
+        request: request.toJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Accept contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept contact request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contacts/requests/{requestId}/decline:
+ *   post:
+ *     summary: Decline a contact request
+ *     description: The requester is notified with a contact_request_declined socket event.
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contact request declined
+ *       400:
+ *         description: Invalid contact request ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Contact request not found
+ */
+router.post('/requests/:requestId/decline', authenticateToken, validateContactRequestId, async (req, res) => {
+  try {
+    const declined = await declineContactRequest(req.user._id, req.params.requestId);
+
+    if (!declined) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Contact request declined'
+    });
+
+  } catch (error) {
+    logger.error('Decline contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline contact request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contacts/requests/{requestId}:
+ *   delete:
+ *     summary: Cancel a sent contact request
+ *     description: The recipient is notified with a contact_request_cancelled socket event.
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contact request cancelled
+ *       400:
+ *         description: Invalid contact request ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Contact request not found
+ */
+router.delete('/requests/:requestId', authenticateToken, validateContactRequestId, async (req, res) => {
+  try {
+    const cancelled = await cancelContactRequest(req.user._id, req.params.requestId);
+
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Contact request cancelled'
+    });
+
+  } catch (error) {
+    logger.error('Cancel contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel contact request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contacts/{userId}:
+ *   delete:
+ *     summary: Remove a contact
+ *     description: Removes the contact for both users; the other user is notified with a contact_removed socket event.
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contact removed
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User is not a contact
+ */
+router.delete('/:userId', authenticateToken, validateUserId, async (req, res) => {
+  try {
+    const removed = await removeContact(req.user._id, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a contact'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Contact removed'
+    });
+
+  } catch (error) {
+    logger.error('Remove contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove contact'
+    });
+  }
+});
+
+export default router;
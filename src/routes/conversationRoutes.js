@@ -1,11 +1,23 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
-import { authenticateToken } from '../middleware/auth.js';
+import User from '../models/User.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { 
   validateConversationId, 
-  validateGetMessages 
+  validateGetMessages,
+  validateCreateGroup,
+  validateAddMembers,
+  validateRemoveMember
 } from '../middleware/validation.js';
+import { getSocketIO } from '../socket/socketHandler.js';
+import { recordChange } from '../services/syncService.js';
+import { markDelivered, serializeMessages } from '../services/deliveryService.js';
+import { getBlockedAmong } from '../services/blockService.js';
+import { canStartConversation } from '../services/contactService.js';
+import { getPresenceVisibility, redactConversationPresence } from '../services/presenceService.js';
+import { encodeCursor, decodeCursor, olderThan, newerThan } from '../utils/cursor.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -37,8 +49,27 @@ const router = express.Router();
  *         description: Conversations retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/', authenticateToken, async (req, res) => {
+// Convert conversations with a populated last message for a viewer. The last message
+// hides the same reads as in message listings.
+const serializeConversations = async (conversations, viewerId) => {
+  const lastMessages = await serializeMessages(
+    conversations.map(conversation => conversation.lastMessage).filter(Boolean),
+    viewerId
+  );
+  const lastMessageById = new Map(lastMessages.map(message => [message._id.toString(), message]));
+
+  return conversations.map(conversation => ({
+    ...conversation.toJSON(),
+    ...(conversation.lastMessage && {
+      lastMessage: lastMessageById.get(conversation.lastMessage._id.toString())
+    })
+  }));
+};
+
+router.get('/', authenticateToken, requirePermission('conversations:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -51,7 +82,7 @@ router.get('/', authenticateToken, async (req, res) => {
         participants: userId,
         isActive: true
       })
-        .populate('participants', 'username email lastSeen')
+        .populate('participants', 'username email lastSeen privacy')
         .populate({
           path: 'lastMessage',
           populate: {
@@ -69,18 +100,19 @@ router.get('/', authenticateToken, async (req, res) => {
       })
     ]);
 
+    // Participants who blocked the user, or whose privacy settings say so, do not show their last seen time
+    const [visibility, serialized] = await Promise.all([
+      getPresenceVisibility(userId),
+      serializeConversations(conversations, userId)
+    ]);
+
     // Get unread message counts for each conversation
     const conversationsWithUnread = await Promise.all(
-      conversations.map(async (conversation) => {
-        const unreadCount = await Message.countDocuments({
-          conversation: conversation._id,
-          receiver: userId,
-          isRead: false,
-          isDeleted: false
-        });
+      conversations.map(async (conversation, index) => {
+        const unreadCount = await Message.getConversationUnreadCount(conversation._id, userId);
 
         return {
-          ...conversation.toJSON(),
+          ...redactConversationPresence(serialized[index], visibility),
           unreadCount
         };
       })
@@ -112,6 +144,142 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Notify every member of a group about a membership or settings change
+const emitGroupUpdate = (conversation, event, data) => {
+  const io = getSocketIO();
+  if (io) {
+    conversation.participants.forEach(participant => {
+      io.to(`user_${participant._id || participant}`).emit(event, {
+        conversationId: conversation._id,
+        ...data
+      });
+    });
+  }
+};
+
+// Resolve member ids to active users, dropping unknown or inactive accounts
+const findActiveUserIds = async (memberIds) => {
+  const users = await User.find({
+    _id: { $in: memberIds },
+    isActive: true
+  }).select('_id');
+
+  return users.map(user => user._id);
+};
+
+// Nobody can put a user they have a block with (either way) in a group with them, and
+// users who only accept conversations from contacts can only be added by a contact.
+// Returns { error: { status, message } } when some of the members cannot be added.
+const checkAddableMembers = async (userId, memberIds) => {
+  const blockedIds = await getBlockedAmong(userId, memberIds);
+
+  if (blockedIds.size > 0) {
+    return { error: { status: 403, message: 'You cannot add some of these users to a group' } };
+  }
+
+  const members = await User.find({ _id: { $in: memberIds } }).select('privacy');
+
+  for (const member of members) {
+    if (!await canStartConversation(userId, member)) {
+      return { error: { status: 403, message: 'Some of these users only accept new conversations from contacts' } };
+    }
+  }
+
+  return {};
+};
+
+/**
+ * @swagger
+ * /api/conversations/groups:
+ *   post:
+ *     summary: Create a group conversation
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - memberIds
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               avatar:
+ *                 type: string
+ *                 format: uri
+ *               memberIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Group created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, a block between the creator and a member, or a member who only accepts conversations from contacts
+ */
+router.post('/groups', authenticateToken, requirePermission('conversations:write'), validateCreateGroup, async (req, res) => {
+  try {
+    const { name, avatar, memberIds } = req.body;
+    const userId = req.user._id;
+
+    const activeMemberIds = (await findActiveUserIds(memberIds))
+      .filter(id => id.toString() !== userId.toString());
+
+    if (activeMemberIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A group needs at least one other active member'
+      });
+    }
+
+    const { error } = await checkAddableMembers(userId, activeMemberIds);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const conversation = await Conversation.createGroup(userId, activeMemberIds, { name, avatar });
+
+    await recordChange(conversation.participants, {
+      type: 'conversation_updated',
+      conversation: conversation._id
+    });
+
+    emitGroupUpdate(conversation, 'group_created', {
+      conversation: conversation.toJSON()
+    });
+
+    logger.info(`User ${userId} created group ${conversation._id} with ${conversation.participants.length} members`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: {
+        conversation: conversation.toJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create group'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/conversations/{conversationId}:
@@ -133,11 +301,11 @@ router.get('/', authenticateToken, async (req, res) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied
+ *         description: Access denied, or insufficient permissions
  *       404:
  *         description: Conversation not found
  */
-router.get('/:conversationId', authenticateToken, validateConversationId, async (req, res) => {
+router.get('/:conversationId', authenticateToken, requirePermission('conversations:read'), validateConversationId, async (req, res) => {
   try {
     const { conversationId } = req.params;
     const userId = req.user._id;
@@ -147,7 +315,7 @@ router.get('/:conversationId', authenticateToken, validateConversationId, async
       participants: userId,
       isActive: true
     })
-      .populate('participants', 'username email lastSeen')
+      .populate('participants', 'username email lastSeen privacy')
       .populate({
         path: 'lastMessage',
         populate: {
@@ -164,19 +332,18 @@ router.get('/:conversationId', authenticateToken, validateConversationId, async
     }
 
     // Get unread message count
-    const unreadCount = await Message.countDocuments({
-      conversation: conversationId,
-      receiver: userId,
-      isRead: false,
-      isDeleted: false
-    });
+    const [unreadCount, visibility, [serialized]] = await Promise.all([
+      Message.getConversationUnreadCount(conversationId, userId),
+      getPresenceVisibility(userId),
+      serializeConversations([conversation], userId)
+    ]);
 
     res.json({
       success: true,
       message: 'Conversation retrieved successfully',
       data: {
         conversation: {
-          ...conversation.toJSON(),
+          ...redactConversationPresence(serialized, visibility),
           unreadCount
         }
       }
@@ -191,11 +358,31 @@ router.get('/:conversationId', authenticateToken, validateConversationId, async
   }
 });
 
+// Load a slice of a conversation's messages with everything the listing embeds
+const findMessages = (filter, sort, limit) => {
+  return Message.find(filter)
+    .select('-revisions') // History is served by GET /api/messages/:messageId/history
+    .populate('sender', 'username')
+    .populate('receiver', 'username')
+    .populate({ path: 'replyTo', populate: { path: 'sender', select: 'username' } })
+    .sort(sort)
+    .limit(limit);
+};
+
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+const OLDEST_FIRST = { createdAt: 1, _id: 1 };
+
 /**
  * @swagger
  * /api/conversations/{conversationId}/messages:
  *   get:
  *     summary: Get messages in a conversation
+ *     description: |
+ *       Returns messages oldest first. Without a cursor the newest page is returned.
+ *       Pass `pagination.prevCursor` as `before` to load older messages and `pagination.nextCursor`
+ *       as `after` to load newer ones; `around` centres the page on a cursor or message ID.
+ *       Without a cursor the response keeps the page-number shape (`page`, default 1, with
+ *       `currentPage`, `totalPages` and so on) and carries the cursors as well.
  *     tags: [Conversations]
  *     security:
  *       - bearerAuth: []
@@ -207,11 +394,26 @@ router.get('/:conversationId', authenticateToken, validateConversationId, async
  *           type: string
  *         description: Conversation ID
  *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor - return messages older than this position
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor - return messages newer than this position
+ *       - in: query
+ *         name: around
+ *         schema:
+ *           type: string
+ *         description: Cursor or message ID - return messages on both sides of this position
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           minimum: 1
- *         description: Page number
+ *         description: Page number (deprecated, counted from the newest message)
  *       - in: query
  *         name: limit
  *         schema:
@@ -222,19 +424,20 @@ router.get('/:conversationId', authenticateToken, validateConversationId, async
  *     responses:
  *       200:
  *         description: Messages retrieved successfully
+ *       400:
+ *         description: Validation error or invalid cursor
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied
+ *         description: Access denied, or insufficient permissions
  *       404:
  *         description: Conversation not found
  */
-router.get('/:conversationId/messages', authenticateToken, validateGetMessages, async (req, res) => {
+router.get('/:conversationId/messages', authenticateToken, requirePermission('messages:read'), validateGetMessages, async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const page = parseInt(req.query.page) || 1;
+    const { before, after, around } = req.query;
     const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
     const userId = req.user._id;
 
     // Check if user is participant in the conversation
@@ -251,37 +454,118 @@ router.get('/:conversationId/messages', authenticateToken, validateGetMessages,
       });
     }
 
-    // Get messages with pagination (newest first)
-    const [messages, totalMessages] = await Promise.all([
-      Message.find({
-        conversation: conversationId,
-        isDeleted: false
-      })
-        .populate('sender', 'username')
-        .populate('receiver', 'username')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit),
-      
-      Message.countDocuments({
-        conversation: conversationId,
-        isDeleted: false
-      })
-    ]);
+    const baseFilter = {
+      conversation: conversationId,
+      isDeleted: false
+    };
+
+    // Reads by recipients who turned read receipts off are left out
+    const serialize = async (messages) => {
+      const serialized = await serializeMessages(messages, userId);
+
+      return serialized.map((message, index) => ({
+        ...message,
+        reactions: messages[index].getReactionSummary(userId)
+      }));
+    };
+
+    // Page-number pagination, kept for clients that have not moved to cursors. Its
+    // response also carries the cursors, so cursor clients can start from it.
+    if (!before && !after && !around) {
+      const page = parseInt(req.query.page) || 1;
+
+      const [messages, totalMessages] = await Promise.all([
+        findMessages(baseFilter, NEWEST_FIRST, limit).skip((page - 1) * limit),
+        Message.countDocuments(baseFilter)
+      ]);
 
-    const totalPages = Math.ceil(totalMessages / limit);
+      // Fetching messages counts as delivering them to this user
+      await markDelivered(userId, { _id: { $in: messages.map(m => m._id) } });
+
+      const totalPages = Math.ceil(totalMessages / limit);
+
+      // Reverse to show oldest first in the response
+      messages.reverse();
+      const oldest = messages[0];
+      const newest = messages[messages.length - 1];
+
+      return res.json({
+        success: true,
+        message: 'Messages retrieved successfully',
+        data: {
+          messages: await serialize(messages),
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalMessages,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            limit,
+            prevCursor: oldest ? encodeCursor(oldest) : null,
+            nextCursor: newest ? encodeCursor(newest) : null,
+            // Pages count from the newest message: later pages hold older messages
+            hasPrev: page < totalPages,
+            hasNext: page > 1
+          }
+        }
+      });
+    }
+
+    let messages;
+
+    if (after) {
+      messages = await findMessages({ ...baseFilter, ...newerThan(decodeCursor(after)) }, OLDEST_FIRST, limit);
+    } else if (around) {
+      // Accept a raw message ID so clients can jump to e.g. a search hit
+      const anchor = mongoose.Types.ObjectId.isValid(around)
+        ? await Message.findOne({ _id: around, conversation: conversationId }).select('createdAt')
+        : null;
+      const position = anchor ? { createdAt: anchor.createdAt, id: anchor._id } : decodeCursor(around);
+
+      if (!position) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found'
+        });
+      }
+
+      // limit(0) means "no limit" to MongoDB, so empty sides are skipped entirely
+      const olderCount = Math.floor((limit - 1) / 2);
+      const newerCount = limit - 1 - olderCount;
+      const [older, anchorMessage, newer] = await Promise.all([
+        olderCount > 0 ? findMessages({ ...baseFilter, ...olderThan(position) }, NEWEST_FIRST, olderCount) : [],
+        findMessages({ ...baseFilter, _id: position.id }, OLDEST_FIRST, 1),
+        newerCount > 0 ? findMessages({ ...baseFilter, ...newerThan(position) }, OLDEST_FIRST, newerCount) : []
+      ]);
+
+      messages = [...older.reverse(), ...anchorMessage, ...newer];
+    } else {
+      messages = (await findMessages({ ...baseFilter, ...olderThan(decodeCursor(before)) }, NEWEST_FIRST, limit)).reverse();
+    }
+
+    // Fetching messages counts as delivering them to this user
+    await markDelivered(userId, { _id: { $in: messages.map(m => m._id) } });
+
+    const oldest = messages[0];
+    const newest = messages[messages.length - 1];
+
+    const [hasPrev, hasNext] = await Promise.all([
+      oldest ? Message.exists({ ...baseFilter, ...olderThan({ createdAt: oldest.createdAt, id: oldest._id }) }) : null,
+      newest ? Message.exists({ ...baseFilter, ...newerThan({ createdAt: newest.createdAt, id: newest._id }) }) : null
+    ]);
 
     res.json({
       success: true,
       message: 'Messages retrieved successfully',
       data: {
-        messages: messages.reverse(), // Reverse to show oldest first in the response
+        messages: await serialize(messages),
         pagination: {
-          currentPage: page,
-          totalPages,
-          totalMessages,
-          hasNextPage: page < totalPages,
-          hasPrevPage: page > 1
+          limit,
+          prevCursor: oldest ? encodeCursor(oldest) : null,
+          // An empty page after a cursor keeps that cursor so clients can poll for newer messages
+          nextCursor: newest ? encodeCursor(newest) : (after || null),
+          hasPrev: Boolean(hasPrev),
+          hasNext: Boolean(hasNext)
         }
       }
     });
@@ -316,11 +600,11 @@ router.get('/:conversationId/messages', authenticateToken, validateGetMessages,
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied
+ *         description: Access denied, or insufficient permissions
  *       404:
  *         description: Conversation not found
  */
-router.put('/:conversationId/mark-read', authenticateToken, validateConversationId, async (req, res) => {
+router.put('/:conversationId/mark-read', authenticateToken, requirePermission('messages:read'), validateConversationId, async (req, res) => {
   try {
     const { conversationId } = req.params;
     const userId = req.user._id;
@@ -342,6 +626,18 @@ router.put('/:conversationId/mark-read', authenticateToken, validateConversation
     // Mark all unread messages as read
     const result = await Message.markConversationAsRead(conversationId, userId);
 
+    if (result.modifiedCount > 0) {
+      // With read receipts off, only the reader's own devices hear about it
+      await recordChange(req.user.privacy.readReceipts !== false ? conversation.participants : [userId], {
+        type: 'messages_read',
+        conversation: conversation._id,
+        data: {
+          readBy: userId,
+          readAt: new Date()
+        }
+      });
+    }
+
     logger.info(`User ${userId} marked ${result.modifiedCount} messages as read in conversation ${conversationId}`);
 
     res.json({
@@ -361,4 +657,298 @@ router.put('/:conversationId/mark-read', authenticateToken, validateConversation
   }
 });
 
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/members:
+ *   post:
+ *     summary: Add members to a group conversation
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - memberIds
+ *             properties:
+ *               memberIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Members added successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only group admins can add members, insufficient permissions, a block between the admin and a new member, or a new member who only accepts conversations from contacts
+ *       404:
+ *         description: Group not found
+ */
+router.post('/:conversationId/members', authenticateToken, requirePermission('conversations:write'), validateAddMembers, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user._id;
+
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      type: 'group',
+      participants: userId,
+      isActive: true
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!conversation.isAdmin(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can add members'
+      });
+    }
+
+    const newMemberIds = (await findActiveUserIds(req.body.memberIds))
+      .filter(id => !conversation.isParticipant(id));
+
+    const { error } = await checkAddableMembers(userId, newMemberIds);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await conversation.addMembers(newMemberIds);
+
+    await recordChange(conversation.participants, {
+      type: 'conversation_updated',
+      conversation: conversation._id
+    });
+    await conversation.populate('participants', 'username email lastSeen privacy');
+
+    emitGroupUpdate(conversation, 'group_members_added', {
+      memberIds: newMemberIds,
+      addedBy: userId
+    });
+
+    logger.info(`User ${userId} added ${newMemberIds.length} members to group ${conversationId}`);
+
+    res.json({
+      success: true,
+      message: 'Members added successfully',
+      data: {
+        conversation: redactConversationPresence(conversation.toJSON(), await getPresenceVisibility(userId))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Add group members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add members'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a group conversation
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the member to remove
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only group admins can remove members, or insufficient permissions
+ *       404:
+ *         description: Group or member not found
+ */
+router.delete('/:conversationId/members/:userId', authenticateToken, requirePermission('conversations:write'), validateRemoveMember, async (req, res) => {
+  try {
+    const { conversationId, userId: memberId } = req.params;
+    const userId = req.user._id;
+
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      type: 'group',
+      participants: userId,
+      isActive: true
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!conversation.isAdmin(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can remove members'
+      });
+    }
+
+    if (!conversation.isParticipant(memberId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in group'
+      });
+    }
+
+    if (conversation.owner.toString() === memberId) {
+      return res.status(403).json({
+        success: false,
+        message: 'The group owner cannot be removed'
+      });
+    }
+
+    // Notify before removal so the removed member also receives the event
+    emitGroupUpdate(conversation, 'group_member_removed', {
+      memberId,
+      removedBy: userId
+    });
+
+    await conversation.removeMember(memberId);
+
+    await Promise.all([
+      recordChange([memberId], {
+        type: 'conversation_removed',
+        conversation: conversation._id
+      }),
+      recordChange(conversation.participants, {
+        type: 'conversation_updated',
+        conversation: conversation._id
+      })
+    ]);
+
+    logger.info(`User ${userId} removed member ${memberId} from group ${conversationId}`);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+      data: {
+        conversation: conversation.toJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Remove group member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/leave:
+ *   post:
+ *     summary: Leave a group conversation
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Left group successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Group not found
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/:conversationId/leave', authenticateToken, requirePermission('conversations:write'), validateConversationId, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user._id;
+
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      type: 'group',
+      participants: userId,
+      isActive: true
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    emitGroupUpdate(conversation, 'group_member_left', {
+      memberId: userId
+    });
+
+    await conversation.removeMember(userId);
+
+    await Promise.all([
+      recordChange([userId], {
+        type: 'conversation_removed',
+        conversation: conversation._id
+      }),
+      recordChange(conversation.participants, {
+        type: 'conversation_updated',
+        conversation: conversation._id
+      })
+    ]);
+
+    logger.info(`User ${userId} left group ${conversationId}`);
+
+    res.json({
+      success: true,
+      message: 'Left group successfully'
+    });
+
+  } catch (error) {
+    logger.error('Leave group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave group'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,14 +1,68 @@
 import express from 'express';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { imageSize } from 'image-size';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
-import User from '../models/User.js';
-import { authenticateToken } from '../middleware/auth.js';
-import { validateSendMessage, validateMessageId } from '../middleware/validation.js';
+import { authenticateToken, requirePermission, isPermitted } from '../middleware/auth.js';
+import { uploadAttachment } from '../middleware/upload.js';
+import { 
+  validateSendMessage, 
+  validateSendAttachment, 
+  validateMessageId, 
+  validateEditMessage,
+  validateReaction,
+  validateRemoveReaction,
+  validateSearchMessages
+} from '../middleware/validation.js';
 import { getSocketIO } from '../socket/socketHandler.js';
+import { findReactableMessage, updateReaction } from '../services/reactionService.js';
+import { sendMessage } from '../services/messageService.js';
+import { searchMessages } from '../services/searchService.js';
+import { recordChange } from '../services/syncService.js';
+import { serializeMessages } from '../services/deliveryService.js';
+import { getStorage } from '../services/storage/index.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// How long after sending a message its sender may still edit it
+const getEditWindowMs = () => (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Longest edge of the box image thumbnails are rendered in
+const THUMBNAIL_MAX_EDGE = 320;
+
+// Describe an uploaded file; images also get their dimensions and thumbnail box
+const buildAttachment = (file) => {
+  const attachment = {
+    fileName: path.basename(file.originalname),
+    mimeType: file.mimetype,
+    size: file.size
+  };
+
+  if (file.mimetype.startsWith('image/')) {
+    const { width, height } = imageSize(file.buffer);
+    const scale = Math.min(1, THUMBNAIL_MAX_EDGE / Math.max(width, height));
+
+    Object.assign(attachment, {
+      width,
+      height,
+      thumbnail: {
+        width: Math.round(width * scale),
+        height: Math.round(height * scale)
+      }
+    });
+  }
+
+  return attachment;
+};
+
+// Storage keys never include user input beyond a sanitised file extension
+const buildStorageKey = (conversationId, messageId, originalName) => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `attachments/${conversationId}/${messageId}-${randomUUID()}${extension}`;
+};
+
 /**
  * @swagger
  * /api/messages/send:
@@ -24,96 +78,196 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             required:
- *               - receiverId
  *               - content
  *             properties:
  *               receiverId:
  *                 type: string
- *                 description: ID of the message receiver
+ *                 description: ID of the message receiver (required unless conversationId is given)
+ *               conversationId:
+ *                 type: string
+ *                 description: ID of an existing direct or group conversation
  *               content:
  *                 type: string
  *                 minLength: 1
  *                 maxLength: 1000
  *                 description: Message content
+ *               replyTo:
+ *                 type: string
+ *                 description: ID of a message in the same conversation to reply to
+ *               clientMessageId:
+ *                 type: string
+ *                 maxLength: 64
+ *                 description: Client-generated ID; retrying with the same ID returns the stored message
  *     responses:
+ *       200:
+ *         description: Message with this clientMessageId was already sent
  *       201:
  *         description: Message sent successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error, or a group with no other members left
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Receiver not found
+ *         description: Receiver or conversation not found
+ *       403:
+ *         description: Insufficient permissions, a block between sender and receiver, or a receiver who only accepts new conversations from contacts
  */
-router.post('/send', authenticateToken, validateSendMessage, async (req, res) => {
+router.post('/send', authenticateToken, requirePermission('messages:send'), validateSendMessage, async (req, res) => {
   try {
-    const { receiverId, content } = req.body;
-    const senderId = req.user._id;
+    const { receiverId, conversationId, content, replyTo, clientMessageId } = req.body;
 
-    // Check if receiver exists and is active
-    const receiver = await User.findOne({ 
-      _id: receiverId, 
-      isActive: true 
+    const { message, conversation, duplicate, error } = await sendMessage({
+      senderId: req.user._id,
+      fromBot: req.user.isBot,
+      receiverId,
+      conversationId,
+      content,
+      replyTo,
+      clientMessageId
     });
 
-    if (!receiver) {
-      return res.status(404).json({
+    if (error) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Receiver not found'
+        message: error.message
       });
     }
 
-    // Can't send message to yourself
-    if (senderId.toString() === receiverId) {
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'Message already sent' : 'Message sent successfully',
+      data: {
+        message: message.toJSON(),
+        conversation: conversation.toJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/attachments:
+ *   post:
+ *     summary: Send an image or file attachment
+ *     description: Accepts files up to ATTACHMENT_MAX_SIZE_MB whose MIME type is in ATTACHMENT_ALLOWED_MIME_TYPES. Images become 'image' messages with dimension and thumbnail metadata, anything else a 'file' message.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               receiverId:
+ *                 type: string
+ *                 description: ID of the message receiver (required unless conversationId is given)
+ *               conversationId:
+ *                 type: string
+ *                 description: ID of an existing direct or group conversation
+ *               content:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Optional caption
+ *               replyTo:
+ *                 type: string
+ *                 description: ID of a message in the same conversation to reply to
+ *               clientMessageId:
+ *                 type: string
+ *                 maxLength: 64
+ *                 description: Client-generated ID; retrying with the same ID returns the stored message
+ *     responses:
+ *       200:
+ *         description: Attachment with this clientMessageId was already sent
+ *       201:
+ *         description: Attachment sent successfully
+ *       400:
+ *         description: Validation error, missing file, disallowed file type, or a group with no other members left
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Receiver or conversation not found
+ *       413:
+ *         description: File too large
+ *       403:
+ *         description: Insufficient permissions, a block between sender and receiver, or a receiver who only accepts new conversations from contacts
+ */
+router.post('/attachments', authenticateToken, requirePermission('messages:send'), uploadAttachment('file'), validateSendAttachment, async (req, res) => {
+  try {
+    const { receiverId, conversationId, content, replyTo, clientMessageId } = req.body;
+    const { file } = req;
+
+    let attachment;
+    try {
+      attachment = buildAttachment(file);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot send message to yourself'
+        message: 'Uploaded image could not be read'
       });
     }
 
-    // Find or create conversation
-    const conversation = await Conversation.findOrCreateConversation(senderId, receiverId);
-
-    // Create message
-    const message = new Message({
-      sender: senderId,
-      receiver: receiverId,
-      conversation: conversation._id,
-      content,
-      messageType: 'text'
-    });
+    const storage = getStorage();
 
-    await message.save();
+    // The message whose file was stored, until it is saved
+    let stored;
 
-    // Update conversation last activity
-    await conversation.updateLastActivity(message._id);
+    // A stored file whose message never got saved (saving failed, or a concurrent retry
+    // with the same clientMessageId won) would be left behind, so it is removed
+    const removeUnsavedFile = async () => {
+      if (stored && stored.isNew) {
+        await storage.remove(stored.attachment.storageKey).catch(removeError => {
+          logger.error(`Failed to remove unsaved attachment ${stored.attachment.storageKey}:`, removeError);
+        });
+      }
+    };
 
-    // Populate message for response
-    await message.populate([
-      { path: 'sender', select: 'username' },
-      { path: 'receiver', select: 'username' }
-    ]);
+    const { message, conversation, duplicate, error } = await sendMessage({
+      senderId: req.user._id,
+      fromBot: req.user.isBot,
+      receiverId,
+      conversationId,
+      content,
+      replyTo,
+      clientMessageId,
+      messageType: attachment.width ? 'image' : 'file',
+      attachment,
+      // Store the file only once the conversation is known, keyed under it
+      beforeSave: async (newMessage, targetConversation) => {
+        newMessage.attachment.storageKey = buildStorageKey(targetConversation._id, newMessage._id, file.originalname);
+        await storage.save(newMessage.attachment.storageKey, file.buffer, { contentType: file.mimetype });
+        stored = newMessage;
+      }
+    }).catch(async (sendError) => {
+      await removeUnsavedFile();
+      throw sendError;
+    });
 
-    // Emit real-time event to receiver
-    const io = getSocketIO();
-    if (io) {
-      io.to(`user_${receiverId}`).emit('message_received', {
-        message: message.toJSON(),
-        conversation: conversation.toJSON()
-      });
+    await removeUnsavedFile();
 
-      // Also emit to sender for confirmation
-      io.to(`user_${senderId}`).emit('message_sent', {
-        message: message.toJSON(),
-        conversation: conversation.toJSON()
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
       });
     }
 
-    logger.info(`Message sent from ${senderId} to ${receiverId}`);
-
-    res.status(201).json({
+    res.status(duplicate ? 200 : 201).json({
       success: true,
-      message: 'Message sent successfully',
+      message: duplicate ? 'Attachment already sent' : 'Attachment sent successfully',
       data: {
         message: message.toJSON(),
         conversation: conversation.toJSON()
@@ -121,10 +275,85 @@ router.post('/send', authenticateToken, validateSendMessage, async (req, res) =>
     });
 
   } catch (error) {
-    logger.error('Send message error:', error);
+    logger.error('Send attachment error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to send message'
+      message: 'Failed to send attachment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/attachment:
+ *   get:
+ *     summary: Download a message attachment
+ *     description: Only participants of the message's conversation can download its attachment.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     responses:
+ *       200:
+ *         description: Attachment content
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Attachment not found
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/:messageId/attachment', authenticateToken, requirePermission('messages:read'), validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    const message = await Message.findOne({
+      _id: messageId,
+      attachment: { $exists: true },
+      isDeleted: false
+    }).select('conversation attachment');
+
+    // Only participants of the message's conversation may download it
+    const conversation = message && await Conversation.exists({
+      _id: message.conversation,
+      participants: userId
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const { storageKey, fileName, mimeType, size } = message.attachment;
+    const stream = await getStorage().getStream(storageKey);
+
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Length': size,
+      'Content-Disposition': `${mimeType.startsWith('image/') ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    stream.on('error', (error) => {
+      logger.error('Attachment stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    logger.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment'
     });
   }
 });
@@ -150,19 +379,19 @@ router.post('/send', authenticateToken, validateSendMessage, async (req, res) =>
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied
+ *         description: Access denied, or insufficient permissions
  *       404:
  *         description: Message not found
  */
-router.put('/:messageId/read', authenticateToken, validateMessageId, async (req, res) => {
+router.put('/:messageId/read', authenticateToken, requirePermission('messages:read'), validateMessageId, async (req, res) => {
   try {
     const { messageId } = req.params;
     const userId = req.user._id;
 
-    // Find message and check if user is the receiver
+    // Find message and check if user is the receiver or a group recipient
     const message = await Message.findOne({
       _id: messageId,
-      receiver: userId,
+      $or: [{ receiver: userId }, { recipients: userId }],
       isDeleted: false
     });
 
@@ -174,15 +403,29 @@ router.put('/:messageId/read', authenticateToken, validateMessageId, async (req,
     }
 
     // Mark as read if not already read
-    if (!message.isRead) {
-      await message.markAsRead();
+    if (!message.isReadBy(userId)) {
+      await message.markAsReadBy(userId);
+
+      // With read receipts off, only the reader's own devices hear about it
+      const notifySender = req.user.privacy.readReceipts !== false;
+
+      await recordChange(notifySender ? [message.sender, userId] : [userId], {
+        type: 'messages_read',
+        conversation: message.conversation,
+        data: {
+          messageIds: [message._id],
+          readBy: userId,
+          readAt: new Date()
+        }
+      });
 
       // Emit read receipt to sender
       const io = getSocketIO();
-      if (io) {
+      if (io && notifySender) {
         io.to(`user_${message.sender}`).emit('message_read', {
           messageId: message._id,
-          readAt: message.readAt
+          readBy: userId,
+          readAt: new Date()
         });
       }
 
@@ -193,7 +436,7 @@ router.put('/:messageId/read', authenticateToken, validateMessageId, async (req,
       success: true,
       message: 'Message marked as read successfully',
       data: {
-        message: message.toJSON()
+        message: (await serializeMessages([message], userId))[0]
       }
     });
 
@@ -219,8 +462,10 @@ router.put('/:messageId/read', authenticateToken, validateMessageId, async (req,
  *         description: Unread count retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/unread-count', authenticateToken, async (req, res) => {
+router.get('/unread-count', authenticateToken, requirePermission('messages:read'), async (req, res) => {
   try {
     const userId = req.user._id;
     const unreadCount = await Message.getUnreadCount(userId);
@@ -242,11 +487,127 @@ router.get('/unread-count', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/messages/search:
+ *   get:
+ *     summary: Search messages across the current user's conversations
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Full-text search query
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *         description: Only search this conversation
+ *       - in: query
+ *         name: senderId
+ *         schema:
+ *           type: string
+ *         description: Only messages from this sender
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or before this time
+ *       - in: query
+ *         name: messageType
+ *         schema:
+ *           type: string
+ *           enum: [text, auto, image, file]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *       - in: query
+ *         name: context
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 10
+ *         description: Number of surrounding messages to return on each side of a hit
+ *     responses:
+ *       200:
+ *         description: Search results with highlighted snippets and context
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/search', authenticateToken, requirePermission('messages:read'), validateSearchMessages, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const contextSize = req.query.context !== undefined ? parseInt(req.query.context) : 2;
+
+    const { results, totalResults } = await searchMessages({
+      userId: req.user._id,
+      query: req.query.q,
+      conversationId: req.query.conversationId,
+      senderId: req.query.senderId,
+      from: req.query.from,
+      to: req.query.to,
+      messageType: req.query.messageType,
+      page,
+      limit,
+      contextSize
+    });
+
+    const totalPages = Math.ceil(totalResults / limit);
+
+    res.json({
+      success: true,
+      message: 'Search completed successfully',
+      data: {
+        results,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalResults,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Search messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search messages'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/messages/{messageId}:
- *   delete:
- *     summary: Delete a message (soft delete)
+ *   put:
+ *     summary: Edit a message
+ *     description: Only the sender can edit, and only within MESSAGE_EDIT_WINDOW_MINUTES of sending. The previous content is kept as a revision.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -257,25 +618,42 @@ router.get('/unread-count', authenticateToken, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 1000
  *     responses:
  *       200:
- *         description: Message deleted successfully
+ *         description: Message edited successfully
+ *       400:
+ *         description: Validation error or unchanged content
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied
+ *         description: Edit window has expired, or insufficient permissions
  *       404:
  *         description: Message not found
  */
-router.delete('/:messageId', authenticateToken, validateMessageId, async (req, res) => {
+router.put('/:messageId', authenticateToken, requirePermission('messages:send'), validateEditMessage, async (req, res) => {
   try {
     const { messageId } = req.params;
+    const { content } = req.body;
     const userId = req.user._id;
 
     // Find message and check if user is the sender
     const message = await Message.findOne({
       _id: messageId,
       sender: userId,
+      messageType: 'text',
       isDeleted: false
     });
 
@@ -286,19 +664,478 @@ router.delete('/:messageId', authenticateToken, validateMessageId, async (req, r
       });
     }
 
-    // Soft delete the message
-    await message.softDelete();
+    if (!message.isEditable(getEditWindowMs())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Message can no longer be edited'
+      });
+    }
+
+    if (message.content === content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message content is unchanged'
+      });
+    }
+
+    await message.edit(content);
 
-    // Emit deletion event
+    await recordChange([userId, ...message.getRecipientIds()], {
+      type: 'message_updated',
+      conversation: message.conversation,
+      message: message._id
+    });
+
+    // Emit edit event to the other participants
     const io = getSocketIO();
     if (io) {
-      io.to(`user_${message.receiver}`).emit('message_deleted', {
-        messageId: message._id,
-        conversationId: message.conversation
+      message.getRecipientIds().forEach(recipientId => {
+        io.to(`user_${recipientId}`).emit('message_edited', {
+          messageId: message._id,
+          conversationId: message.conversation,
+          content: message.content,
+          editedAt: message.editedAt
+        });
       });
     }
 
-    logger.info(`Message ${messageId} deleted by user ${userId}`);
+    logger.info(`Message ${messageId} edited by user ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Message edited successfully',
+      data: {
+        message: (await serializeMessages([message], userId))[0]
+      }
+    });
+
+  } catch (error) {
+    logger.error('Edit message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to edit message'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/history:
+ *   get:
+ *     summary: Get the edit history of a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     responses:
+ *       200:
+ *         description: Message history retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Message not found
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/:messageId/history', authenticateToken, requirePermission('messages:read'), validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    const message = await Message.findOne({
+      _id: messageId,
+      isDeleted: false
+    });
+
+    // Only participants of the message's conversation may see its history
+    const conversation = message && await Conversation.exists({
+      _id: message.conversation,
+      participants: userId
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message history retrieved successfully',
+      data: {
+        messageId: message._id,
+        content: message.content,
+        editedAt: message.editedAt,
+        revisions: message.revisions
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get message history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve message history'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/thread:
+ *   get:
+ *     summary: Get the full reply thread a message belongs to
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of any message in the thread
+ *     responses:
+ *       200:
+ *         description: Thread retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Message not found
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/:messageId/thread', authenticateToken, requirePermission('messages:read'), validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    const message = await Message.findById(messageId).select('conversation threadRoot');
+
+    // Only participants of the message's conversation may read the thread
+    const conversation = message && await Conversation.exists({
+      _id: message.conversation,
+      participants: userId
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const rootId = message.threadRoot || message._id;
+
+    const [root, replies] = await Promise.all([
+      Message.findById(rootId)
+        .select('-revisions')
+        .populate('sender', 'username'),
+      Message.find({
+        threadRoot: rootId,
+        isDeleted: false
+      })
+        .select('-revisions')
+        .populate('sender', 'username')
+        .populate({ path: 'replyTo', populate: { path: 'sender', select: 'username' } })
+        .sort({ createdAt: 1 })
+    ]);
+
+    const [serializedRoot, ...serializedReplies] = await serializeMessages([root, ...replies], userId);
+
+    res.json({
+      success: true,
+      message: 'Thread retrieved successfully',
+      data: {
+        // A deleted root is still returned as a preview so the thread keeps its anchor
+        root: root.isDeleted ? root.toReplyPreview() : serializedRoot,
+        replies: serializedReplies,
+        replyCount: replies.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get message thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve thread'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/reactions:
+ *   get:
+ *     summary: Get reactions on a message with the users who reacted
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     responses:
+ *       200:
+ *         description: Reactions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Message not found
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/:messageId/reactions', authenticateToken, requirePermission('messages:read'), validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    const message = await findReactableMessage(messageId, userId);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    await message.populate('reactions.users', 'username');
+
+    res.json({
+      success: true,
+      message: 'Reactions retrieved successfully',
+      data: {
+        reactions: message.reactions.map(r => ({
+          ...r.toJSON(),
+          reacted: r.users.some(u => u._id.toString() === userId.toString())
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get reactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve reactions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/reactions:
+ *   post:
+ *     summary: Add an emoji reaction to a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emoji
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reaction added successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Message not found
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/:messageId/reactions', authenticateToken, requirePermission('messages:send'), validateReaction, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+    const userId = req.user._id;
+
+    const result = await updateReaction({ messageId, userId, emoji, action: 'add' });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.changed ? 'Reaction added successfully' : 'Reaction already exists',
+      data: {
+        reactions: result.message.getReactionSummary(userId)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Add reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add reaction'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/reactions/{emoji}:
+ *   delete:
+ *     summary: Remove your emoji reaction from a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *       - in: path
+ *         name: emoji
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: URL-encoded emoji
+ *     responses:
+ *       200:
+ *         description: Reaction removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Message or reaction not found
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.delete('/:messageId/reactions/:emoji', authenticateToken, requirePermission('messages:send'), validateRemoveReaction, async (req, res) => {
+  try {
+    const { messageId, emoji } = req.params;
+    const userId = req.user._id;
+
+    const result = await updateReaction({ messageId, userId, emoji, action: 'remove' });
+
+    if (!result || !result.changed) {
+      return res.status(404).json({
+        success: false,
+        message: result ? 'Reaction not found' : 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reaction removed successfully',
+      data: {
+        reactions: result.message.getReactionSummary(userId)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove reaction'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}:
+ *   delete:
+ *     summary: Delete a message (soft delete)
+ *     description: Senders can delete their own messages; users with the messages:moderate permission can delete any message.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     responses:
+ *       200:
+ *         description: Message deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied, or insufficient permissions
+ *       404:
+ *         description: Message not found
+ */
+router.delete('/:messageId', authenticateToken, requirePermission('messages:send'), validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    // Senders delete their own messages; moderators may delete anyone's
+    const message = await Message.findOne({
+      _id: messageId,
+      ...(!isPermitted(req.user, req.apiKey, 'messages:moderate') && { sender: userId }),
+      isDeleted: false
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found or access denied'
+      });
+    }
+
+    // Soft delete the message
+    await message.softDelete();
+
+    const affectedUserIds = [message.sender, ...message.getRecipientIds()];
+
+    await recordChange(affectedUserIds, {
+      type: 'message_deleted',
+      conversation: message.conversation,
+      message: message._id
+    });
+
+    // Emit deletion event to everyone but the user who deleted it
+    const io = getSocketIO();
+    if (io) {
+      affectedUserIds
+        .filter(affectedUserId => affectedUserId.toString() !== userId.toString())
+        .forEach(affectedUserId => {
+          io.to(`user_${affectedUserId}`).emit('message_deleted', {
+            messageId: message._id,
+            conversationId: message.conversation
+          });
+        });
+    }
+
+    if (message.sender.toString() !== userId.toString()) {
+      logger.warn(`Message ${messageId} of user ${message.sender} removed by moderator ${userId}`);
+    } else {
+      logger.info(`Message ${messageId} deleted by user ${userId}`);
+    }
 
     res.json({
       success: true,
@@ -0,0 +1,68 @@
+import express from 'express';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { validateSync } from '../middleware/validation.js';
+import { decodeSyncToken, getChangesSince } from '../services/syncService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/sync:
+ *   get:
+ *     summary: Get everything that changed for the current user since a sync token
+ *     description: |
+ *       Without `since`, returns a starting token and no changes. Each response carries a fresh
+ *       `syncToken` to pass as `since` next time; keep calling while `hasMore` is true.
+ *       Tokens older than SYNC_RETENTION_DAYS get a 410 and the client must reload from scratch.
+ *     tags: [Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *         description: Sync token from a previous response
+ *     responses:
+ *       200:
+ *         description: Changes retrieved successfully
+ *       400:
+ *         description: Invalid sync token
+ *       401:
+ *         description: Unauthorized
+ *       410:
+ *         description: Sync token expired, a full resync is required
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/', authenticateToken, requirePermission('messages:read', 'conversations:read'), validateSync, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const since = req.query.since ? decodeSyncToken(req.query.since) : null;
+
+    const result = await getChangesSince(userId, since);
+
+    if (result.resyncRequired) {
+      return res.status(410).json({
+        success: false,
+        message: 'Sync token expired, full resync required'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Changes retrieved successfully',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve changes'
+    });
+  }
+});
+
+export default router;
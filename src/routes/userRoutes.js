@@ -1,12 +1,134 @@
 import express from 'express';
 import User from '../models/User.js';
-import { authenticateToken } from '../middleware/auth.js';
-import { validateUserList } from '../middleware/validation.js';
+import Contact from '../models/Contact.js';
+import { authenticateToken, requirePermission, rejectApiKeys } from '../middleware/auth.js';
+import {
+  validateUserList,
+  validateUserId,
+  validateUpdateProfile,
+  validateUpdatePrivacy
+} from '../middleware/validation.js';
 import { getOnlineUsers, getOnlineUserCount } from '../config/redis.js';
+import { refreshUserSockets } from '../socket/socketHandler.js';
+import { sendVerificationEmail, cancelPasswordResets } from '../services/accountService.js';
+import { addBlock, removeBlock, listBlocks } from '../services/blockService.js';
+import {
+  getPresenceStatus,
+  getPresenceVisibility,
+  redactPresence,
+  announcePresenceAudienceChange
+} from '../services/presenceService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// User directory and profile endpoints are not available to API keys
+router.use(rejectApiKeys);
+
+// Profile fields set as they are sent; an empty string or null clears them
+const PROFILE_FIELDS = ['displayName', 'avatar', 'bio', 'timezone', 'locale'];
+
+// Shape a block or mute for API responses
+const formatBlock = (block) => ({
+  user: block.blocked,
+  createdAt: block.createdAt
+});
+
+// Response messages of the block and mute endpoints
+const BLOCK_MESSAGES = {
+  block: {
+    users: 'blocked users',
+    retrieved: 'Blocked users retrieved successfully',
+    added: 'User blocked',
+    removed: 'User unblocked',
+    missing: 'User is not blocked'
+  },
+  mute: {
+    users: 'muted users',
+    retrieved: 'Muted users retrieved successfully',
+    added: 'User muted',
+    removed: 'User unmuted',
+    missing: 'User is not muted'
+  }
+};
+
+// Handlers shared by the block and mute endpoints
+const listBlocksHandler = (type) => async (req, res) => {
+  try {
+    const blocks = await listBlocks(req.user._id, type);
+
+    res.json({
+      success: true,
+      message: BLOCK_MESSAGES[type].retrieved,
+      data: {
+        users: blocks.map(formatBlock)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`List ${type}s error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to retrieve ${BLOCK_MESSAGES[type].users}`
+    });
+  }
+};
+
+const addBlockHandler = (type) => async (req, res) => {
+  try {
+    const { block, created, error } = await addBlock(req.user, req.params.userId, type);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await block.populate('blocked', 'username');
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: BLOCK_MESSAGES[type].added,
+      data: {
+        block: formatBlock(block)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Add ${type} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${type} user`
+    });
+  }
+};
+
+const removeBlockHandler = (type) => async (req, res) => {
+  try {
+    const removed = await removeBlock(req.user, req.params.userId, type);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: BLOCK_MESSAGES[type].missing
+      });
+    }
+
+    res.json({
+      success: true,
+      message: BLOCK_MESSAGES[type].removed
+    });
+
+  } catch (error) {
+    logger.error(`Remove ${type} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to un${type} user`
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/user/list:
@@ -63,7 +185,7 @@ router.get('/list', authenticateToken, validateUserList, async (req, res) => {
     // Get users with pagination
     const [users, totalUsers] = await Promise.all([
       User.find(query)
-        .select('username email lastSeen createdAt')
+        .select('username email displayName avatar lastSeen privacy createdAt')
         .sort({ lastSeen: -1 })
         .skip(skip)
         .limit(limit),
@@ -71,14 +193,17 @@ router.get('/list', authenticateToken, validateUserList, async (req, res) => {
     ]);
 
     // Get online users to mark status
-    const onlineUserIds = await getOnlineUsers();
+    const [onlineUserIds, visibility] = await Promise.all([
+      getOnlineUsers(),
+      getPresenceVisibility(req.user._id)
+    ]);
     const onlineSet = new Set(onlineUserIds);
 
-    // Add online status to users
-    const usersWithStatus = users.map(user => ({
+    // Add online status to users, except for those who blocked the current user
+    const usersWithStatus = users.map(user => redactPresence({
       ...user.toJSON(),
       isOnline: onlineSet.has(user._id.toString())
-    }));
+    }, visibility));
 
     const totalPages = Math.ceil(totalUsers / limit);
 
@@ -111,6 +236,7 @@ router.get('/list', authenticateToken, validateUserList, async (req, res) => {
  * /api/user/online-stats:
  *   get:
  *     summary: Get online user statistics
+ *     description: Requires the stats:read permission (moderators and admins).
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -119,8 +245,10 @@ router.get('/list', authenticateToken, validateUserList, async (req, res) => {
  *         description: Online statistics retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/online-stats', authenticateToken, async (req, res) => {
+router.get('/online-stats', authenticateToken, requirePermission('stats:read'), async (req, res) => {
   try {
     const [onlineUsers, onlineCount, totalUsers] = await Promise.all([
       getOnlineUsers(),
@@ -170,19 +298,62 @@ router.get('/online-stats', authenticateToken, async (req, res) => {
  *               email:
  *                 type: string
  *                 format: email
+ *                 description: A new address must be verified again before it can be used for password resets
+ *               currentPassword:
+ *                 type: string
+ *                 description: Required to change the email address
+ *               displayName:
+ *                 type: string
+ *                 maxLength: 50
+ *               avatar:
+ *                 type: string
+ *                 description: http(s) URL of the profile picture
+ *               bio:
+ *                 type: string
+ *                 maxLength: 300
+ *               statusText:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Custom status; an empty string clears it
+ *               statusExpiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the custom status disappears (omit to keep it until changed)
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone, e.g. Europe/Istanbul
+ *               locale:
+ *                 type: string
+ *                 description: BCP 47 language tag, e.g. tr-TR
  *     responses:
  *       200:
  *         description: Profile updated successfully
  *       400:
- *         description: Validation error or username/email already exists
+ *         description: Validation error, username/email already exists, or a missing or incorrect current password for an email change
  *       401:
  *         description: Unauthorized
  */
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticateToken, validateUpdateProfile, async (req, res) => {
   try {
-    const { username, email } = req.body;
+    const { username, email, currentPassword, statusText, statusExpiresAt } = req.body;
     const user = req.user;
 
+    // The email address recovers the account, so changing it takes the password
+    // and not just a session
+    const emailChanged = email && email !== user.email;
+    if (emailChanged) {
+      const account = await User.findById(user._id).select('+password');
+
+      if (!currentPassword || !(await account.comparePassword(currentPassword))) {
+        return res.status(400).json({
+          success: false,
+          message: currentPassword
+            ? 'Current password is incorrect'
+            : 'Current password is required to change email'
+        });
+      }
+    }
+
     // Check if username or email already exists (excluding current user)
     if (username || email) {
       const existingUser = await User.findOne({
@@ -209,10 +380,42 @@ router.put('/profile', authenticateToken, async (req, res) => {
 
     // Update user
     if (username) user.username = username;
-    if (email) user.email = email;
+
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field] || undefined;
+      }
+    });
+
+    // A new status text replaces the old status along with its expiry
+    if (statusText !== undefined) {
+      user.customStatus = statusText
+        ? { text: statusText, expiresAt: statusExpiresAt || undefined }
+        : { text: undefined, expiresAt: undefined };
+    } else if (statusExpiresAt !== undefined) {
+      user.customStatus.expiresAt = statusExpiresAt || undefined;
+    }
+
+    // A new address has to be verified again
+    if (emailChanged) {
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
 
     await user.save();
 
+    if (emailChanged) {
+      // Reset links already sent went to the old address
+      await cancelPasswordResets(user._id);
+
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error(`Failed to send verification email to ${user.email}:`, mailError);
+      }
+    }
+
     logger.info(`User profile updated: ${user.email}`);
 
     res.json({
@@ -232,4 +435,322 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/user/privacy:
+ *   get:
+ *     summary: Get privacy settings
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Privacy settings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/privacy', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    message: 'Privacy settings retrieved successfully',
+    data: {
+      privacy: req.user.toJSON().privacy
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/user/privacy:
+ *   put:
+ *     summary: Update privacy settings
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               conversationsFrom:
+ *                 type: string
+ *                 enum: [everyone, contacts]
+ *                 description: Who may start a new conversation with you; existing conversations are not affected
+ *               lastSeenVisibleTo:
+ *                 type: string
+ *                 enum: [everyone, contacts, nobody]
+ *                 description: Who may see your last seen time
+ *               onlineVisibleTo:
+ *                 type: string
+ *                 enum: [everyone, contacts, nobody]
+ *                 description: Who may see your online status and presence events
+ *               readReceipts:
+ *                 type: boolean
+ *                 description: Whether senders are told when you read their messages
+ *     responses:
+ *       200:
+ *         description: Privacy settings updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/privacy', authenticateToken, validateUpdatePrivacy, async (req, res) => {
+  try {
+    const user = req.user;
+    const { conversationsFrom, lastSeenVisibleTo, onlineVisibleTo, readReceipts } = req.body;
+    const previousOnlineAudience = user.privacy.onlineVisibleTo;
+
+    if (conversationsFrom) user.privacy.conversationsFrom = conversationsFrom;
+    if (lastSeenVisibleTo) user.privacy.lastSeenVisibleTo = lastSeenVisibleTo;
+    if (onlineVisibleTo) user.privacy.onlineVisibleTo = onlineVisibleTo;
+    if (readReceipts !== undefined) user.privacy.readReceipts = readReceipts;
+
+    await user.save();
+
+    // Live sockets read the read receipts setting from their user
+    await refreshUserSockets(user._id);
+
+    // Users who gained or lost sight of the user's online status are told right away
+    if (user.privacy.onlineVisibleTo !== previousOnlineAudience) {
+      await announcePresenceAudienceChange(user, previousOnlineAudience);
+    }
+
+    logger.info(`User ${user._id} updated privacy settings`);
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      data: {
+        privacy: user.toJSON().privacy
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update privacy settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update privacy settings'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user/blocked:
+ *   get:
+ *     summary: List blocked users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Blocked users retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/blocked', authenticateToken, listBlocksHandler('block'));
+
+/**
+ * @swagger
+ * /api/user/{userId}/block:
+ *   post:
+ *     summary: Block a user
+ *     description: Neither user can message the other directly or see the other's typing indicators, the blocked user stops seeing the blocker's online status and last seen time, and the pair is left out of automated messages.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User was already blocked
+ *       201:
+ *         description: User blocked
+ *       400:
+ *         description: Invalid user ID or own user ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ */
+router.post('/:userId/block', authenticateToken, validateUserId, addBlockHandler('block'));
+
+/**
+ * @swagger
+ * /api/user/{userId}/block:
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unblocked
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User is not blocked
+ */
+router.delete('/:userId/block', authenticateToken, validateUserId, removeBlockHandler('block'));
+
+/**
+ * @swagger
+ * /api/user/muted:
+ *   get:
+ *     summary: List muted users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Muted users retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/muted', authenticateToken, listBlocksHandler('mute'));
+
+/**
+ * @swagger
+ * /api/user/{userId}/mute:
+ *   post:
+ *     summary: Mute a user
+ *     description: Messages from the user are still delivered, but without new message notifications or typing indicators.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User was already muted
+ *       201:
+ *         description: User muted
+ *       400:
+ *         description: Invalid user ID or own user ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ */
+router.post('/:userId/mute', authenticateToken, validateUserId, addBlockHandler('mute'));
+
+/**
+ * @swagger
+ * /api/user/{userId}/mute:
+ *   delete:
+ *     summary: Unmute a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unmuted
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User is not muted
+ */
+router.delete('/:userId/mute', authenticateToken, validateUserId, removeBlockHandler('mute'));
+
+/**
+ * @swagger
+ * /api/user/{userId}:
+ *   get:
+ *     summary: Get a user's public profile
+ *     description: Returns the fields the current user may see. Time zone and locale are only shown to contacts (and the user themselves), and the online status and last seen time follow the user's privacy settings (users who blocked the current user hide them). The presence field is the user's overall status (online, idle, away, dnd or offline).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Profile retrieved successfully
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId', authenticateToken, validateUserId, async (req, res) => {
+  try {
+    const viewerId = req.user._id;
+
+    const user = await User.findOne({
+      _id: req.params.userId,
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isSelf = user._id.equals(viewerId);
+
+    const [isContact, presence, visibility] = await Promise.all([
+      isSelf ? false : Contact.areContacts(viewerId, user._id),
+      getPresenceStatus(user._id),
+      getPresenceVisibility(viewerId)
+    ]);
+
+    const profile = redactPresence({
+      ...user.getPublicProfile({ includePersonal: isSelf || isContact }),
+      privacy: user.privacy,
+      isOnline: presence !== 'offline',
+      presence,
+      isContact
+    }, visibility);
+
+    res.json({
+      success: true,
+      message: 'Profile retrieved successfully',
+      data: {
+        user: profile
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get user profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve profile'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
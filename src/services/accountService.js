@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import UserToken from '../models/UserToken.js';
+import { hashToken, revokeAllRefreshTokens } from './tokenService.js';
+import { clearFailedLogins } from './loginThrottleService.js';
+import { sendMail } from './mail/index.js';
+import { disconnectUserSockets } from '../socket/socketHandler.js';
+import logger from '../utils/logger.js';
+
+// Read per call since environment variables load after module imports
+const getVerificationTtlMs = () => (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const getPasswordResetTtlMs = () => (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+const ACCOUNT_UNLOCK_TTL_MS = 24 * 60 * 60 * 1000;
+const getAppUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+// Create a single-use token, replacing any earlier one issued for the same purpose
+const createUserToken = async (userId, purpose, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await UserToken.deleteMany({ user: userId, purpose });
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Email a verification link to the user's current address
+export const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user._id, 'email_verification', getVerificationTtlMs());
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\n` +
+      `Confirm your email address by opening the link below:\n${getAppUrl()}/verify-email?token=${token}\n\n` +
+      'If you did not create an account, you can ignore this email.'
+  });
+
+  logger.info(`Verification email sent to ${user.email}`);
+};
+
+// Mark the token owner's email as verified. Returns the user, or null for a bad token.
+export const verifyEmail = async (token) => {
+  const userToken = await UserToken.consume(hashToken(token), 'email_verification');
+
+  if (!userToken) {
+    return null;
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userToken.user, isActive: true },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  );
+
+  if (user) {
+    logger.info(`Email verified: ${user.email}`);
+  }
+
+  return user;
+};
+
+// Email a password reset link. Only verified addresses can recover an account, so an
+// address someone set without proving they own it cannot be used to take it over.
+// Other addresses are ignored silently so that the endpoint cannot be used to find
+// out which emails are registered.
+export const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email, emailVerified: true, isActive: true, isBot: { $ne: true } });
+
+  if (!user) {
+    logger.debug(`Password reset requested for unknown or unverified email ${email}`);
+    return;
+  }
+
+  const token = await createUserToken(user._id, 'password_reset', getPasswordResetTtlMs());
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\n` +
+      `Choose a new password by opening the link below:\n${getAppUrl()}/reset-password?token=${token}\n\n` +
+      'If you did not ask for a password reset, you can ignore this email.'
+  });
+
+  logger.info(`Password reset email sent to ${user.email}`);
+};
+
+// Invalidate outstanding password reset links, e.g. once they were sent to an
+// address the account no longer uses
+export const cancelPasswordResets = async (userId) => {
+  await UserToken.deleteMany({ user: userId, purpose: 'password_reset' });
+};
+
+// Set a new password and sign the user out everywhere. Returns the user, or null for a bad token.
+export const resetPassword = async (token, newPassword) => {
+  const userToken = await UserToken.consume(hashToken(token), 'password_reset');
+
+  if (!userToken) {
+    return null;
+  }
+
+  const user = await User.findOne({ _id: userToken.user, isActive: true });
+
+  if (!user) {
+    return null;
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  await revokeAllRefreshTokens(user._id);
+  disconnectUserSockets(user._id);
+  await clearFailedLogins(user.email);
+
+  logger.info(`Password reset for user: ${user.email}`);
+
+  return user;
+};
+
+// Tell the owner their account was locked after failed logins, with a link to unlock it
+export const sendAccountLockedEmail = async (user, { attempts, ip, lockoutMinutes }) => {
+  const token = await createUserToken(user._id, 'account_unlock', ACCOUNT_UNLOCK_TTL_MS);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Sign-in to your account was locked',
+    text: `Hi ${user.username},\n\n` +
+      `After ${attempts} failed sign-in attempts (the last one from ${ip}), sign-in to your account ` +
+      `is locked for ${lockoutMinutes} minutes.\n\n` +
+      `If this was you, you can unlock it now:\n${getAppUrl()}/unlock-account?token=${token}\n\n` +
+      'If it was not you, someone may be guessing your password. Consider changing it and enabling two-factor authentication.'
+  });
+
+  logger.info(`Account locked email sent to ${user.email}`);
+};
+
+// Lift a login lockout with the token from the account locked email.
+// Returns the user, or null for a bad token.
+export const unlockAccount = async (token) => {
+  const userToken = await UserToken.consume(hashToken(token), 'account_unlock');
+
+  if (!userToken) {
+    return null;
+  }
+
+  const user = await User.findOne({ _id: userToken.user, isActive: true });
+
+  if (!user) {
+    return null;
+  }
+
+  await clearFailedLogins(user.email);
+
+  logger.info(`Account unlocked: ${user.email}`);
+
+  return user;
+};
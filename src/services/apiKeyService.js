@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import { hashToken } from './tokenService.js';
+import { disconnectUserSockets, disconnectApiKeySockets } from '../socket/socketHandler.js';
+import logger from '../utils/logger.js';
+
+const API_KEY_PREFIX = 'rmk_';
+
+// lastUsedAt is only written when it is older than this, to spare a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Read per call since environment variables load after module imports
+const getBotEmailDomain = () => process.env.BOT_EMAIL_DOMAIN || 'bots.example.com';
+
+export const isApiKey = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+// Create a bot account owned by a user. Bots get a placeholder email and an unusable
+// random password, since they only ever authenticate with API keys.
+// Returns { bot } or { error: { status, message } }.
+export const createBot = async (ownerId, { username }) => {
+  const email = `${username.toLowerCase()}@${getBotEmailDomain()}`;
+
+  const existingUser = await User.exists({ $or: [{ username }, { email }] });
+
+  if (existingUser) {
+    return { error: { status: 400, message: 'Username already taken' } };
+  }
+
+  const bot = new User({
+    username,
+    email,
+    password: crypto.randomBytes(32).toString('base64url'),
+    isBot: true,
+    botOwner: ownerId
+  });
+
+  await bot.save();
+
+  logger.info(`Bot ${bot.username} (${bot._id}) created by user ${ownerId}`);
+
+  return { bot };
+};
+
+export const listBots = async (ownerId) => {
+  return await User.find({ botOwner: ownerId, isBot: true, isActive: true })
+    .sort({ createdAt: -1 });
+};
+
+const findOwnedBot = async (ownerId, botId) => {
+  return await User.findOne({ _id: botId, botOwner: ownerId, isBot: true, isActive: true });
+};
+
+// Deactivate a bot and revoke all of its keys. Returns false when the bot is not the owner's.
+export const deleteBot = async (ownerId, botId) => {
+  const bot = await findOwnedBot(ownerId, botId);
+
+  if (!bot) {
+    return false;
+  }
+
+  bot.isActive = false;
+  await bot.save();
+
+  await ApiKey.updateMany(
+    { user: bot._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  disconnectUserSockets(bot._id);
+
+  logger.info(`Bot ${bot.username} (${bot._id}) deleted by user ${ownerId}`);
+
+  return true;
+};
+
+// Issue a key for one of the owner's bots. The plaintext key is only returned here.
+// Returns { apiKey, key } or { error: { status, message } }.
+export const createApiKey = async (ownerId, { botId, name, scopes, expiresInDays }) => {
+  const bot = await findOwnedBot(ownerId, botId);
+
+  if (!bot) {
+    return { error: { status: 404, message: 'Bot not found' } };
+  }
+
+  const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    user: bot._id,
+    createdBy: ownerId,
+    name,
+    prefix,
+    keyHash: hashToken(key),
+    scopes: [...new Set(scopes)],
+    ...(expiresInDays && { expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) })
+  });
+
+  logger.info(`API key ${prefix} created for bot ${bot._id} by user ${ownerId}`);
+
+  return { apiKey, key };
+};
+
+// List the keys of the owner's bots, optionally of one bot only
+export const listApiKeys = async (ownerId, { botId } = {}) => {
+  const bots = await User.find({ botOwner: ownerId, isBot: true }).select('_id');
+  const botIds = bots.map(bot => bot._id.toString());
+
+  return await ApiKey.find({
+    user: { $in: botId ? botIds.filter(id => id === botId) : botIds }
+  })
+    .populate('user', 'username')
+    .sort({ createdAt: -1 });
+};
+
+// Revoke a key of one of the owner's bots and drop the sockets it opened.
+// Returns false when there is no such key.
+export const revokeApiKey = async (ownerId, keyId) => {
+  const bots = await User.find({ botOwner: ownerId, isBot: true }).select('_id');
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: keyId, user: { $in: bots.map(bot => bot._id) }, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    return false;
+  }
+
+  disconnectApiKeySockets(apiKey._id);
+
+  logger.info(`API key ${apiKey.prefix} revoked by user ${ownerId}`);
+
+  return true;
+};
+
+// Resolve an API key to its bot. Returns { user, apiKey } or null.
+export const authenticateApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+  if (!apiKey || !apiKey.isUsable()) {
+    return null;
+  }
+
+  const user = await User.findOne({ _id: apiKey.user, isBot: true, isActive: true })
+    .select('-password -refreshTokens');
+
+  if (!user) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => logger.error('Error updating API key last use:', error));
+  }
+
+  return { user, apiKey };
+};
@@ -0,0 +1,157 @@
+import Block from '../models/Block.js';
+import User from '../models/User.js';
+import Contact from '../models/Contact.js';
+import { getPresenceStatus, isInPresenceAudience } from './presenceService.js';
+import { emitToUser } from '../socket/socketHandler.js';
+import logger from '../utils/logger.js';
+
+// Whether the user's privacy settings show their online status to someone, blocks aside
+const canSeeOnlineStatus = async (user, viewerId) => {
+  const audience = user.privacy?.onlineVisibleTo;
+  return isInPresenceAudience(audience, audience === 'contacts' && await Contact.areContacts(user._id, viewerId));
+};
+
+// A block ends any contact between the two users, or a pending request either way.
+// The blocked user is told as if the blocker had removed, declined or cancelled it.
+const dropContact = async (userId, targetId) => {
+  const contact = await Contact.findOneAndDelete({ pairKey: Contact.getPairKey(userId, targetId) });
+
+  if (!contact) {
+    return;
+  }
+
+  if (contact.status === 'accepted') {
+    emitToUser(targetId, 'contact_removed', { userId });
+  } else if (contact.requester.toString() === targetId.toString()) {
+    emitToUser(targetId, 'contact_request_declined', { requestId: contact._id, userId });
+  } else {
+    emitToUser(targetId, 'contact_request_cancelled', { requestId: contact._id, userId });
+  }
+
+  logger.info(`Contact ${contact._id} between users ${userId} and ${targetId} removed by a block`);
+};
+
+// Block or mute another user.
+// Returns { block, created } or { error: { status, message } }.
+export const addBlock = async (user, targetId, type) => {
+  if (user._id.toString() === targetId.toString()) {
+    return { error: { status: 400, message: `Cannot ${type} yourself` } };
+  }
+
+  const target = await User.exists({ _id: targetId, isActive: true });
+
+  if (!target) {
+    return { error: { status: 404, message: 'User not found' } };
+  }
+
+  const filter = { blocker: user._id, blocked: targetId, type };
+  const existing = await Block.findOne(filter);
+
+  if (existing) {
+    return { block: existing, created: false };
+  }
+
+  let block;
+  try {
+    block = await Block.create(filter);
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code === 11000) {
+      return { block: await Block.findOne(filter), created: false };
+    }
+    throw error;
+  }
+
+  if (type === 'block') {
+    // Asked before the contact goes, which may be what let the target see it
+    const couldSeeOnlineStatus = await canSeeOnlineStatus(user, targetId);
+
+    await dropContact(user._id, targetId);
+
+    // The blocked user stops seeing the blocker's presence, so to them the blocker goes offline
+    if (couldSeeOnlineStatus && await getPresenceStatus(user._id) !== 'offline') {
+      emitToUser(targetId, 'user_offline', {
+        userId: user._id,
+        username: user.username,
+        timestamp: new Date()
+      });
+    }
+  }
+
+  logger.info(`User ${user._id} ${type === 'block' ? 'blocked' : 'muted'} user ${targetId}`);
+
+  return { block, created: true };
+};
+
+// Lift a block or mute. Returns true when there was one.
+export const removeBlock = async (user, targetId, type) => {
+  const { deletedCount } = await Block.deleteOne({ blocker: user._id, blocked: targetId, type });
+
+  if (deletedCount === 0) {
+    return false;
+  }
+
+  if (type === 'block' && await canSeeOnlineStatus(user, targetId)) {
+    const status = await getPresenceStatus(user._id);
+
+    if (status !== 'offline') {
+      emitToUser(targetId, 'user_online', {
+        userId: user._id,
+        username: user.username,
+        status,
+        timestamp: new Date()
+      });
+    }
+  }
+
+  logger.info(`User ${user._id} ${type === 'block' ? 'unblocked' : 'unmuted'} user ${targetId}`);
+
+  return true;
+};
+
+// List the users someone has blocked or muted, most recent first
+export const listBlocks = async (userId, type) => {
+  return await Block.find({ blocker: userId, type })
+    .populate('blocked', 'username')
+    .sort({ createdAt: -1 });
+};
+
+// Of the given users, those with a block between them and the user, whichever side placed it
+export const getBlockedAmong = async (userId, otherIds) => {
+  if (otherIds.length === 0) {
+    return new Set();
+  }
+
+  const blocks = await Block.find({
+    type: 'block',
+    $or: [
+      { blocker: userId, blocked: { $in: otherIds } },
+      { blocker: { $in: otherIds }, blocked: userId }
+    ]
+  }).select('blocker blocked');
+
+  return new Set(blocks.map(block =>
+    (block.blocker.toString() === userId.toString() ? block.blocked : block.blocker).toString()
+  ));
+};
+
+// Narrow recipients down to those who should get notifications and typing indicators
+// from a sender: not those who blocked or muted the sender, nor those the sender blocked
+export const getNotifiableRecipientIds = async (senderId, recipientIds) => {
+  if (recipientIds.length === 0) {
+    return [];
+  }
+
+  const blocks = await Block.find({
+    $or: [
+      { blocker: { $in: recipientIds }, blocked: senderId },
+      { blocker: senderId, blocked: { $in: recipientIds }, type: 'block' }
+    ]
+  }).select('blocker blocked');
+
+  const silencedIds = new Set(blocks.map(block =>
+    (block.blocker.toString() === senderId.toString() ? block.blocked : block.blocker).toString()
+  ));
+
+  return recipientIds.filter(id => !silencedIds.has(id.toString()));
+};
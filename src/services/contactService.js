@@ -0,0 +1,183 @@
+import Contact from '../models/Contact.js';
+import User from '../models/User.js';
+import Block from '../models/Block.js';
+import { emitToUser } from '../socket/socketHandler.js';
+import logger from '../utils/logger.js';
+
+const populateUsers = (contact) => contact.populate([
+  { path: 'requester', select: 'username' },
+  { path: 'recipient', select: 'username' }
+]);
+
+// Accept a pending request and tell the user who sent it
+const accept = async (contact) => {
+  contact.status = 'accepted';
+  contact.acceptedAt = new Date();
+  await contact.save();
+  await populateUsers(contact);
+
+  emitToUser(contact.requester._id, 'contact_request_accepted', {
+    request: contact.toJSON()
+  });
+
+  logger.info(`User ${contact.recipient._id} accepted the contact request of user ${contact.requester._id}`);
+
+  return contact;
+};
+
+// Send a contact request. Asking someone who already asked you accepts their request.
+// Returns { request, accepted } or { error: { status, message } }.
+export const sendContactRequest = async (userId, targetId) => {
+  if (userId.toString() === targetId.toString()) {
+    return { error: { status: 400, message: 'Cannot add yourself as a contact' } };
+  }
+
+  const target = await User.exists({ _id: targetId, isActive: true });
+
+  if (!target) {
+    return { error: { status: 404, message: 'User not found' } };
+  }
+
+  if (await Block.isBlockedBetween(userId, targetId)) {
+    return { error: { status: 403, message: 'You cannot send a contact request to this user' } };
+  }
+
+  const pairKey = Contact.getPairKey(userId, targetId);
+  const existing = await Contact.findOne({ pairKey });
+
+  if (existing && existing.status === 'accepted') {
+    return { error: { status: 400, message: 'User is already a contact' } };
+  }
+
+  if (existing && existing.requester.toString() === userId.toString()) {
+    return { error: { status: 400, message: 'Contact request already sent' } };
+  }
+
+  if (existing) {
+    return { request: await accept(existing), accepted: true };
+  }
+
+  let request;
+  try {
+    request = await Contact.create({ requester: userId, recipient: targetId, pairKey });
+  } catch (error) {
+    // The other user sent a request at the same moment
+    if (error.code === 11000) {
+      return { error: { status: 409, message: 'A contact request between these users already exists' } };
+    }
+    throw error;
+  }
+
+  await populateUsers(request);
+
+  emitToUser(targetId, 'contact_request_received', {
+    request: request.toJSON()
+  });
+
+  logger.info(`User ${userId} sent a contact request to user ${targetId}`);
+
+  return { request, accepted: false };
+};
+
+// Accept a request sent to the user.
+// Returns { request } or { error: { status, message } }.
+export const acceptContactRequest = async (userId, requestId) => {
+  const request = await Contact.findOne({ _id: requestId, recipient: userId, status: 'pending' });
+
+  if (!request) {
+    return { error: { status: 404, message: 'Contact request not found' } };
+  }
+
+  // Blocking removes pending requests, but one may have slipped in meanwhile
+  if (await Block.isBlockedBetween(userId, request.requester)) {
+    return { error: { status: 403, message: 'You cannot accept a contact request from this user' } };
+  }
+
+  return { request: await accept(request) };
+};
+
+// Decline a request sent to the user. Returns false when there is no such request.
+export const declineContactRequest = async (userId, requestId) => {
+  const request = await Contact.findOneAndDelete({ _id: requestId, recipient: userId, status: 'pending' });
+
+  if (!request) {
+    return false;
+  }
+
+  emitToUser(request.requester, 'contact_request_declined', {
+    requestId: request._id,
+    userId
+  });
+
+  logger.info(`User ${userId} declined the contact request of user ${request.requester}`);
+
+  return true;
+};
+
+// Withdraw a request the user sent. Returns false when there is no such request.
+export const cancelContactRequest = async (userId, requestId) => {
+  const request = await Contact.findOneAndDelete({ _id: requestId, requester: userId, status: 'pending' });
+
+  if (!request) {
+    return false;
+  }
+
+  emitToUser(request.recipient, 'contact_request_cancelled', {
+    requestId: request._id,
+    userId
+  });
+
+  logger.info(`User ${userId} cancelled their contact request to user ${request.recipient}`);
+
+  return true;
+};
+
+// Remove a contact on both sides. Returns false when the users are not contacts.
+export const removeContact = async (userId, contactId) => {
+  const { deletedCount } = await Contact.deleteOne({
+    pairKey: Contact.getPairKey(userId, contactId),
+    status: 'accepted'
+  });
+
+  if (deletedCount === 0) {
+    return false;
+  }
+
+  emitToUser(contactId, 'contact_removed', { userId });
+
+  logger.info(`User ${userId} removed contact ${contactId}`);
+
+  return true;
+};
+
+// List the user's contacts, most recently added first
+export const listContacts = async (userId) => {
+  return await Contact.find({
+    status: 'accepted',
+    $or: [{ requester: userId }, { recipient: userId }]
+  })
+    .populate('requester', 'username')
+    .populate('recipient', 'username')
+    .sort({ acceptedAt: -1 });
+};
+
+// List pending requests sent to ('incoming') or by ('outgoing') the user, newest first
+export const listContactRequests = async (userId, direction = 'incoming') => {
+  return await Contact.find({
+    status: 'pending',
+    [direction === 'incoming' ? 'recipient' : 'requester']: userId
+  })
+    .populate('requester', 'username')
+    .populate('recipient', 'username')
+    .sort({ createdAt: -1 });
+};
+
+// Whether someone may start a new conversation with a recipient, given the
+// recipient's privacy settings (the recipient document must include them)
+export const canStartConversation = async (initiatorId, recipient) => {
+  if (!recipient.privacy || recipient.privacy.conversationsFrom !== 'contacts') {
+    return true;
+  }
+
+  return await Contact.areContacts(initiatorId, recipient._id);
+};
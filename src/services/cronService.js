@@ -1,7 +1,9 @@
 import cron from 'node-cron';
 import User from '../models/User.js';
 import AutoMessage from '../models/AutoMessage.js';
+import Block from '../models/Block.js';
 import { publishToQueue } from '../config/rabbitmq.js';
+import { sweepStalePresence } from './presenceService.js';
 import logger from '../utils/logger.js';
 
 // Array of sample auto messages
@@ -33,6 +35,38 @@ const shuffleArray = (array) => {
   return shuffled;
 };
 
+// Pair users up two by two, never pairing users when either has blocked the other.
+// Users left over (an odd one out, or one blocked by everyone still unpaired) are
+// paired with the first user they can be, as the odd one out always has been.
+const pairUsers = (users, blockedPairs) => {
+  const canPair = (a, b) => a !== b && !blockedPairs.has(`${a._id}:${b._id}`);
+  const remaining = [...users];
+  const leftOver = [];
+  const pairs = [];
+
+  while (remaining.length > 1) {
+    const sender = remaining.shift();
+    const index = remaining.findIndex(user => canPair(sender, user));
+
+    if (index === -1) {
+      leftOver.push(sender);
+      continue;
+    }
+
+    const [receiver] = remaining.splice(index, 1);
+    pairs.push({ sender, receiver });
+  }
+
+  [...leftOver, ...remaining].forEach(sender => {
+    const receiver = users.find(user => canPair(sender, user));
+    if (receiver) {
+      pairs.push({ sender, receiver });
+    }
+  });
+
+  return pairs;
+};
+
 // Get random message content
 const getRandomMessage = () => {
   const randomIndex = Math.floor(Math.random() * AUTO_MESSAGE_TEMPLATES.length);
@@ -53,35 +87,29 @@ const createAutoMessages = async () => {
   try {
     logger.info('Starting auto message creation job...');
 
-    // Get all active users
-    const activeUsers = await User.find({ isActive: true }).select('_id username email');
+    // Get all active users (bots are not paired up)
+    const activeUsers = await User.find({ isActive: true, isBot: { $ne: true } }).select('_id username email');
     
     if (activeUsers.length < 2) {
       logger.warn('Not enough active users to create auto messages');
       return;
     }
 
+    // Users who blocked one another, in both directions
+    const blocks = await Block.find({
+      type: 'block',
+      blocker: { $in: activeUsers.map(user => user._id) }
+    }).select('blocker blocked');
+    const blockedPairs = new Set(blocks.flatMap(block => [
+      `${block.blocker}:${block.blocked}`,
+      `${block.blocked}:${block.blocker}`
+    ]));
+
     // Shuffle users randomly
     const shuffledUsers = shuffleArray(activeUsers);
     
     // Create pairs (sender, receiver)
-    const pairs = [];
-    for (let i = 0; i < shuffledUsers.length - 1; i += 2) {
-      if (shuffledUsers[i + 1]) {
-        pairs.push({
-          sender: shuffledUsers[i],
-          receiver: shuffledUsers[i + 1]
-        });
-      }
-    }
-
-    // If odd number of users, pair the last one with the first
-    if (shuffledUsers.length % 2 !== 0) {
-      pairs.push({
-        sender: shuffledUsers[shuffledUsers.length - 1],
-        receiver: shuffledUsers[0]
-      });
-    }
+    const pairs = pairUsers(shuffledUsers, blockedPairs);
 
     // Create auto messages for each pair
     const autoMessages = pairs.map(pair => ({
@@ -184,6 +212,19 @@ const logStatistics = async () => {
   }
 };
 
+// Presence sweep: take offline users whose connections expired (runs every minute)
+const sweepPresence = async () => {
+  try {
+    const count = await sweepStalePresence();
+
+    if (count > 0) {
+      logger.info(`Marked ${count} users with expired connections as offline`);
+    }
+  } catch (error) {
+    logger.error('Error in sweepPresence cron job:', error);
+  }
+};
+
 export const startCronJobs = () => {
   // Main job: Create auto messages daily at 2:00 AM
   cron.schedule('0 2 * * *', createAutoMessages, {
@@ -209,12 +250,19 @@ export const startCronJobs = () => {
     timezone: 'UTC'
   });
 
+  // Presence job: Sweep expired connections every minute
+  cron.schedule('* * * * *', sweepPresence, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
   logger.info('Cron jobs started successfully');
   logger.info('Scheduled jobs:');
   logger.info('- Auto message creation: Daily at 2:00 AM UTC');
   logger.info('- Message queuing: Every minute');
   logger.info('- Cleanup old messages: Daily at 3:00 AM UTC');
   logger.info('- Statistics logging: Every hour');
+  logger.info('- Presence sweep: Every minute');
 
   // Run initial statistics
   setTimeout(logStatistics, 5000);
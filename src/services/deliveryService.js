@@ -0,0 +1,77 @@
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import { emitToUser, emitToUserWithAck } from '../socket/socketHandler.js';
+import { recordChange } from './syncService.js';
+import logger from '../utils/logger.js';
+
+// How long a recipient's sockets get to acknowledge a message_received event
+const DELIVERY_ACK_TIMEOUT_MS = 10000;
+
+// Mark messages matching the filter as delivered to a user and tell each sender.
+// Only messages not yet delivered to that user are touched.
+export const markDelivered = async (userId, filter) => {
+  const undelivered = await Message.findUndelivered(userId, filter);
+
+  if (undelivered.length === 0) {
+    return;
+  }
+
+  const deliveredAt = new Date();
+  await Message.markAsDelivered(undelivered.map(m => m._id), userId, deliveredAt);
+
+  // Group by sender and conversation so each sender gets one event per conversation
+  const groups = new Map();
+  undelivered.forEach(message => {
+    const key = `${message.sender}:${message.conversation}`;
+    if (!groups.has(key)) {
+      groups.set(key, { senderId: message.sender, conversationId: message.conversation, messageIds: [] });
+    }
+    groups.get(key).messageIds.push(message._id);
+  });
+
+  await Promise.all([...groups.values()].map(async ({ senderId, conversationId, messageIds }) => {
+    emitToUser(senderId, 'message_delivered', {
+      messageIds,
+      conversationId,
+      deliveredTo: userId,
+      deliveredAt
+    });
+
+    await recordChange([senderId], {
+      type: 'messages_delivered',
+      conversation: conversationId,
+      data: {
+        messageIds,
+        deliveredTo: userId,
+        deliveredAt
+      }
+    });
+  }));
+
+  logger.debug(`Marked ${undelivered.length} messages as delivered to user ${userId}`);
+};
+
+// Emit message_received to a recipient and mark the message delivered once any of
+// their sockets acknowledges it. Offline recipients are handled when they next fetch.
+export const deliverMessage = (recipientId, message, payload) => {
+  emitToUserWithAck(recipientId, 'message_received', payload, DELIVERY_ACK_TIMEOUT_MS)
+    .then(responses => {
+      if (responses.length > 0) {
+        return markDelivered(recipientId, { _id: message._id });
+      }
+    })
+    .catch(error => {
+      logger.error(`Error confirming delivery of message ${message._id}:`, error);
+    });
+};
+
+// Convert messages for a viewer, leaving out the reads of recipients who turned
+// read receipts off (see Message#toJSONFor)
+export const serializeMessages = async (messages, viewerId) => {
+  const recipientIds = new Set(messages.flatMap(message => message.getRecipientIds()));
+  const privateReaderIds = recipientIds.size > 0
+    ? await User.getPrivateReaderIds([...recipientIds])
+    : new Set();
+
+  return messages.map(message => message.toJSONFor(viewerId, privateReaderIds));
+};
@@ -0,0 +1,124 @@
+import { getRedisClient } from '../config/redis.js';
+import User from '../models/User.js';
+import { sendAccountLockedEmail } from './accountService.js';
+import logger from '../utils/logger.js';
+
+// Read per call since environment variables load after module imports
+const getConfig = () => ({
+  maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5,
+  maxIpAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+  windowSeconds: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60,
+  lockoutSeconds: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60,
+  delayAfterAttempts: parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3,
+  baseDelayMs: parseInt(process.env.LOGIN_BASE_DELAY_MS) || 1000,
+  maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 30000
+});
+
+// Accounts are keyed by email, so attempts against unknown emails are throttled the same way
+const attemptsKey = (scope, id) => `login_attempts:${scope}:${id.toString().toLowerCase()}`;
+const lockKey = (scope, id) => `login_lock:${scope}:${id.toString().toLowerCase()}`;
+
+// Wait required after a failure, doubling with every failure past the threshold
+const getDelayMs = (failures, config) => {
+  if (failures < config.delayAfterAttempts) {
+    return 0;
+  }
+  return Math.min(
+    config.baseDelayMs * 2 ** (failures - config.delayAfterAttempts),
+    config.maxDelayMs
+  );
+};
+
+// Check whether a login attempt may proceed.
+// Returns { allowed: true } or { allowed: false, locked, retryAfterMs }.
+// Redis problems are logged and the attempt is let through.
+export const checkLoginAllowed = async (email, ip) => {
+  try {
+    const redis = getRedisClient();
+    const config = getConfig();
+
+    const [accountLockMs, ipLockMs, attempts] = await Promise.all([
+      redis.pTTL(lockKey('account', email)),
+      redis.pTTL(lockKey('ip', ip)),
+      redis.hGetAll(attemptsKey('account', email))
+    ]);
+
+    const lockMs = Math.max(accountLockMs, ipLockMs);
+    if (lockMs > 0) {
+      return { allowed: false, locked: true, retryAfterMs: lockMs };
+    }
+
+    const failures = parseInt(attempts.count) || 0;
+    const waitMs = (parseInt(attempts.lastFailedAt) || 0) + getDelayMs(failures, config) - Date.now();
+    if (waitMs > 0) {
+      return { allowed: false, locked: false, retryAfterMs: waitMs };
+    }
+
+    return { allowed: true };
+  } catch (error) {
+    logger.error('Error checking login throttle:', error);
+    return { allowed: true };
+  }
+};
+
+// Count a failed attempt against the account and the IP, locking either one
+// once it reaches its threshold. The account owner is emailed when their account locks.
+export const recordFailedLogin = async (email, ip) => {
+  try {
+    const redis = getRedisClient();
+    const config = getConfig();
+
+    const countFailure = async (scope, id) => {
+      const key = attemptsKey(scope, id);
+      const [count] = await redis.multi()
+        .hIncrBy(key, 'count', 1)
+        .hSet(key, 'lastFailedAt', Date.now())
+        .expire(key, config.windowSeconds)
+        .exec();
+      return count;
+    };
+
+    const [accountFailures, ipFailures] = await Promise.all([
+      countFailure('account', email),
+      countFailure('ip', ip)
+    ]);
+
+    if (ipFailures >= config.maxIpAttempts) {
+      const locked = await redis.set(lockKey('ip', ip), '1', { NX: true, EX: config.lockoutSeconds });
+      if (locked) {
+        logger.warn(`Login locked for IP ${ip} after ${ipFailures} failed attempts`);
+      }
+    }
+
+    if (accountFailures >= config.maxAccountAttempts) {
+      // NX makes sure the owner is only notified once per lockout
+      const locked = await redis.set(lockKey('account', email), '1', { NX: true, EX: config.lockoutSeconds });
+      if (locked) {
+        logger.warn(`Login locked for account ${email} after ${accountFailures} failed attempts (last from ${ip})`);
+        await notifyOwner(email, { attempts: accountFailures, ip, lockoutMinutes: config.lockoutSeconds / 60 });
+      }
+    }
+  } catch (error) {
+    logger.error('Error recording failed login:', error);
+  }
+};
+
+const notifyOwner = async (email, details) => {
+  try {
+    const user = await User.findOne({ email, isActive: true });
+    if (user) {
+      await sendAccountLockedEmail(user, details);
+    }
+  } catch (error) {
+    logger.error(`Failed to send account locked email to ${email}:`, error);
+  }
+};
+
+// Forget an account's failed attempts and lift its lock (successful login, unlock, password reset)
+export const clearFailedLogins = async (email) => {
+  try {
+    await getRedisClient().del([attemptsKey('account', email), lockKey('account', email)]);
+  } catch (error) {
+    logger.error('Error clearing failed logins:', error);
+  }
+};
@@ -0,0 +1,143 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { createFakeRedis, createLoggerMock } from '../test/fakes.js';
+
+let redis;
+
+jest.unstable_mockModule('../config/redis.js', () => ({
+  getRedisClient: jest.fn(() => redis)
+}));
+
+jest.unstable_mockModule('./accountService.js', () => ({
+  sendAccountLockedEmail: jest.fn()
+}));
+
+jest.unstable_mockModule('../utils/logger.js', createLoggerMock);
+
+const { getRedisClient } = await import('../config/redis.js');
+const { sendAccountLockedEmail } = await import('./accountService.js');
+const { default: User } = await import('../models/User.js');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins
+} = await import('./loginThrottleService.js');
+
+const email = 'ada@example.com';
+const ip = '203.0.113.7';
+
+describe('loginThrottleService', () => {
+  let now;
+
+  // Fail n times in a row, leaving enough time in between for every backoff delay
+  const failLogins = async (count, { from = ip, account = email } = {}) => {
+    for (let i = 0; i < count; i++) {
+      now += 60 * 1000;
+      await recordFailedLogin(account, from);
+    }
+  };
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    now = Date.parse('2024-01-01T00:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(User, 'findOne').mockResolvedValue({ _id: 'user-1', email });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('lets a first attempt through', async () => {
+    await expect(checkLoginAllowed(email, ip)).resolves.toEqual({ allowed: true });
+  });
+
+  it('makes the next attempt wait once failures pass the delay threshold, doubling each time', async () => {
+    await failLogins(2);
+    await expect(checkLoginAllowed(email, ip)).resolves.toEqual({ allowed: true });
+
+    await failLogins(1);
+    await expect(checkLoginAllowed(email, ip))
+      .resolves.toEqual({ allowed: false, locked: false, retryAfterMs: 1000 });
+
+    await failLogins(1);
+    await expect(checkLoginAllowed(email, ip))
+      .resolves.toEqual({ allowed: false, locked: false, retryAfterMs: 2000 });
+
+    now += 2000;
+    await expect(checkLoginAllowed(email, ip)).resolves.toEqual({ allowed: true });
+  });
+
+  it('locks the account after too many failures and emails the owner once', async () => {
+    await failLogins(5);
+
+    const result = await checkLoginAllowed(email, '198.51.100.1');
+    expect(result).toMatchObject({ allowed: false, locked: true });
+    expect(result.retryAfterMs).toBe(15 * 60 * 1000);
+    expect(sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+    expect(sendAccountLockedEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ email }),
+      { attempts: 5, ip, lockoutMinutes: 15 }
+    );
+
+    await failLogins(1);
+    expect(sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats the email case-insensitively', async () => {
+    await failLogins(5);
+
+    const result = await checkLoginAllowed(email.toUpperCase(), '198.51.100.1');
+    expect(result).toMatchObject({ allowed: false, locked: true });
+  });
+
+  it('lifts the account lock once the lockout expires', async () => {
+    await failLogins(5);
+    now += 15 * 60 * 1000;
+
+    await expect(checkLoginAllowed(email, ip)).resolves.toEqual({ allowed: true });
+  });
+
+  it('locks an IP spraying many accounts, without locking those accounts elsewhere', async () => {
+    for (let i = 0; i < 20; i++) {
+      await failLogins(1, { account: `user${i}@example.com` });
+    }
+
+    await expect(checkLoginAllowed('someone@example.com', ip))
+      .resolves.toMatchObject({ allowed: false, locked: true });
+    await expect(checkLoginAllowed('user0@example.com', '198.51.100.1'))
+      .resolves.toEqual({ allowed: true });
+    expect(sendAccountLockedEmail).not.toHaveBeenCalled();
+  });
+
+  it('clears failures and the account lock after a successful login', async () => {
+    await failLogins(5);
+
+    await clearFailedLogins(email);
+
+    await expect(checkLoginAllowed(email, '198.51.100.1')).resolves.toEqual({ allowed: true });
+  });
+
+  it('follows the configured thresholds', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT = '2';
+    process.env.LOGIN_LOCKOUT_MINUTES = '1';
+
+    try {
+      await failLogins(2);
+
+      await expect(checkLoginAllowed(email, ip))
+        .resolves.toEqual({ allowed: false, locked: true, retryAfterMs: 60 * 1000 });
+    } finally {
+      delete process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT;
+      delete process.env.LOGIN_LOCKOUT_MINUTES;
+    }
+  });
+
+  it('lets attempts through when Redis is unavailable', async () => {
+    getRedisClient.mockImplementationOnce(() => {
+      throw new Error('Redis client not connected');
+    });
+
+    await expect(checkLoginAllowed(email, ip)).resolves.toEqual({ allowed: true });
+  });
+});
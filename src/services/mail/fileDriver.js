@@ -0,0 +1,28 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Writes each mail as a JSON file under MAIL_FILE_DIR, for local development
+export const createFileDriver = () => {
+  const rootDir = path.resolve(
+    path.join(__dirname, '../../..'),
+    process.env.MAIL_FILE_DIR || 'mail'
+  );
+
+  return {
+    name: 'file',
+
+    async send(mail) {
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.promises.mkdir(rootDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(rootDir, fileName),
+        JSON.stringify({ ...mail, sentAt: new Date() }, null, 2)
+      );
+    }
+  };
+};
@@ -0,0 +1,38 @@
+import { createSmtpDriver } from './smtpDriver.js';
+import { createFileDriver } from './fileDriver.js';
+import { createConsoleDriver } from './consoleDriver.js';
+import logger from '../../utils/logger.js';
+
+// Every driver implements: send({ from, to, subject, text })
+const drivers = {
+  smtp: createSmtpDriver,
+  file: createFileDriver,
+  console: createConsoleDriver
+};
+
+let mailer;
+
+export const getMailer = () => {
+  if (!mailer) {
+    const driverName = process.env.MAIL_DRIVER || 'console';
+    const createDriver = drivers[driverName];
+
+    if (!createDriver) {
+      throw new Error(`Unknown mail driver: ${driverName}`);
+    }
+
+    mailer = createDriver();
+    logger.info(`Mailer initialized with ${driverName} driver`);
+  }
+  return mailer;
+};
+
+// Send a plain text email from the configured sender address
+export const sendMail = async ({ to, subject, text }) => {
+  await getMailer().send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text
+  });
+};
@@ -0,0 +1,24 @@
+import nodemailer from 'nodemailer';
+
+// Sends mail through an SMTP server
+export const createSmtpDriver = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      }
+    })
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(mail) {
+      await transporter.sendMail(mail);
+    }
+  };
+};
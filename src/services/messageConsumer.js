@@ -2,7 +2,11 @@ import { consumeFromQueue } from '../config/rabbitmq.js';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
 import AutoMessage from '../models/AutoMessage.js';
-import { emitToUser } from '../socket/socketHandler.js';
+import Block from '../models/Block.js';
+import User from '../models/User.js';
+import { canStartConversation } from './contactService.js';
+import { recordChange } from './syncService.js';
+import { deliverMessage } from './deliveryService.js';
 import logger from '../utils/logger.js';
 
 // Process auto message from queue
@@ -19,8 +23,25 @@ const processAutoMessage = async (messageData) => {
 
     logger.debug(`Processing auto message ${autoMessageId} from ${senderUsername} to ${receiverUsername}`);
 
+    // A block placed after the message was planned cancels it
+    if (await Block.isBlockedBetween(senderId, receiverId)) {
+      await AutoMessage.deleteOne({ _id: autoMessageId });
+      logger.info(`Auto message ${autoMessageId} cancelled: ${senderUsername} and ${receiverUsername} are blocked`);
+      return;
+    }
+
     // Find or create conversation between sender and receiver
-    const conversation = await Conversation.findOrCreateConversation(senderId, receiverId);
+    const receiver = await User.findById(receiverId).select('privacy');
+    const conversation = receiver && await Conversation.findOrCreateConversation(senderId, receiverId, {
+      canCreate: () => canStartConversation(senderId, receiver)
+    });
+
+    // Receivers who only accept new conversations from contacts are not written to
+    if (!conversation) {
+      await AutoMessage.deleteOne({ _id: autoMessageId });
+      logger.info(`Auto message ${autoMessageId} cancelled: ${receiverUsername} does not accept a new conversation from ${senderUsername}`);
+      return;
+    }
 
     // Create the actual message
     const message = new Message({
@@ -36,6 +57,12 @@ const processAutoMessage = async (messageData) => {
     // Update conversation last activity
     await conversation.updateLastActivity(message._id);
 
+    await recordChange([senderId, receiverId], {
+      type: 'message_created',
+      conversation: conversation._id,
+      message: message._id
+    });
+
     // Populate message for socket emission
     await message.populate([
       { path: 'sender', select: 'username email' },
@@ -43,7 +70,7 @@ const processAutoMessage = async (messageData) => {
     ]);
 
     // Send real-time notification to receiver
-    emitToUser(receiverId, 'message_received', {
+    deliverMessage(receiverId, message, {
       message: message.toJSON(),
       conversation: conversation.toJSON(),
       isAutoMessage: true
@@ -0,0 +1,224 @@
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import User from '../models/User.js';
+import Block from '../models/Block.js';
+import { emitToUser } from '../socket/socketHandler.js';
+import { recordChange } from './syncService.js';
+import { deliverMessage } from './deliveryService.js';
+import { canStartConversation } from './contactService.js';
+import { getBlockedAmong } from './blockService.js';
+import logger from '../utils/logger.js';
+
+// The same answer whichever side placed the block
+const BLOCKED_ERROR = { status: 403, message: 'You cannot send messages to this user' };
+
+// Resolve the conversation a message is being sent into.
+// Returns { conversation } or { error: { status, message } }.
+const resolveConversation = async ({ senderId, receiverId, conversationId }) => {
+  if (conversationId) {
+    // Sending into an existing (direct or group) conversation
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      participants: senderId,
+      isActive: true
+    }).populate('participants', 'username email');
+
+    if (!conversation) {
+      return { error: { status: 404, message: 'Conversation not found' } };
+    }
+
+    // Blocks cut off direct conversations; in groups they only stop live delivery (see sendMessage)
+    if (conversation.type !== 'group') {
+      const other = conversation.participants.find(p => p._id.toString() !== senderId.toString());
+
+      if (other && await Block.isBlockedBetween(senderId, other._id)) {
+        return { error: BLOCKED_ERROR };
+      }
+    }
+
+    return { conversation };
+  }
+
+  // Can't send message to yourself
+  if (senderId.toString() === receiverId.toString()) {
+    return { error: { status: 400, message: 'Cannot send message to yourself' } };
+  }
+
+  // Check if receiver exists and is active
+  const receiver = await User.findOne({
+    _id: receiverId,
+    isActive: true
+  });
+
+  if (!receiver) {
+    return { error: { status: 404, message: 'Receiver not found' } };
+  }
+
+  if (await Block.isBlockedBetween(senderId, receiverId)) {
+    return { error: BLOCKED_ERROR };
+  }
+
+  // Find or create conversation; the receiver's privacy settings decide who may start one
+  const conversation = await Conversation.findOrCreateConversation(senderId, receiverId, {
+    canCreate: () => canStartConversation(senderId, receiver)
+  });
+
+  if (!conversation) {
+    return { error: { status: 403, message: 'This user only accepts new conversations from contacts' } };
+  }
+
+  return { conversation };
+};
+
+// Check that a quoted message is live and lives in the conversation being written to
+export const isReplyInConversation = async ({ replyTo, senderId, receiverId, conversationId }) => {
+  const original = await Message.findOne({ _id: replyTo, isDeleted: false })
+    .populate('conversation', 'type participants');
+
+  if (!original || !original.conversation) {
+    return false;
+  }
+
+  if (conversationId) {
+    return original.conversation._id.toString() === conversationId.toString();
+  }
+
+  return Boolean(receiverId) &&
+    original.conversation.type !== 'group' &&
+    original.conversation.isParticipant(senderId) &&
+    original.conversation.isParticipant(receiverId);
+};
+
+// Look up a message already stored for a retried send
+const findDuplicate = async (senderId, clientMessageId) => {
+  const message = await Message.findOne({ sender: senderId, clientMessageId });
+
+  if (!message) {
+    return null;
+  }
+
+  const conversation = await Conversation.findById(message.conversation)
+    .populate('participants', 'username email');
+
+  await message.populate([
+    { path: 'sender', select: 'username' },
+    { path: 'receiver', select: 'username' },
+    { path: 'replyTo', populate: { path: 'sender', select: 'username' } }
+  ]);
+
+  return { message, conversation, duplicate: true };
+};
+
+// Persist a message and fan it out to every other participant's room.
+// Returns { message, conversation, duplicate } or { error: { status, message } }.
+// A repeated clientMessageId returns the stored message without re-emitting it.
+// fromBot marks messages sent by bot accounts so clients can render them differently.
+export const sendMessage = async ({
+  senderId,
+  fromBot = false,
+  receiverId,
+  conversationId,
+  content,
+  replyTo,
+  clientMessageId,
+  messageType = 'text',
+  attachment,
+  beforeSave
+}) => {
+  if (clientMessageId) {
+    const duplicate = await findDuplicate(senderId, clientMessageId);
+    if (duplicate) {
+      return duplicate;
+    }
+  }
+
+  const { conversation, error } = await resolveConversation({ senderId, receiverId, conversationId });
+
+  if (error) {
+    return { error };
+  }
+
+  // Replies join the thread of the message they quote
+  const original = replyTo && await Message.findById(replyTo).select('threadRoot');
+
+  const otherParticipantIds = conversation.participants
+    .map(p => p._id.toString())
+    .filter(id => id !== senderId.toString());
+
+  // A group whose other members have all left has no one to address
+  if (otherParticipantIds.length === 0) {
+    return { error: { status: 400, message: 'No other members are left in this conversation' } };
+  }
+
+  // Create message
+  const message = new Message({
+    sender: senderId,
+    conversation: conversation._id,
+    content,
+    messageType,
+    fromBot,
+    ...(clientMessageId && { clientMessageId }),
+    ...(attachment && { attachment }),
+    ...(original && {
+      replyTo: original._id,
+      threadRoot: original.threadRoot || original._id
+    }),
+    ...(conversation.type === 'group'
+      ? { recipients: otherParticipantIds }
+      : { receiver: otherParticipantIds[0] })
+  });
+
+  // Lets callers finish work that needs the message id (e.g. storing an upload)
+  if (beforeSave) {
+    await beforeSave(message, conversation);
+  }
+
+  try {
+    await message.save();
+  } catch (saveError) {
+    // A concurrent retry won the race on the unique (sender, clientMessageId) index
+    if (saveError.code === 11000 && clientMessageId) {
+      return await findDuplicate(senderId, clientMessageId);
+    }
+    throw saveError;
+  }
+
+  // Update conversation last activity
+  await conversation.updateLastActivity(message._id);
+
+  await recordChange([senderId, ...otherParticipantIds], {
+    type: 'message_created',
+    conversation: conversation._id,
+    message: message._id
+  });
+
+  // Populate message for response
+  await message.populate([
+    { path: 'sender', select: 'username' },
+    { path: 'receiver', select: 'username' },
+    { path: 'replyTo', populate: { path: 'sender', select: 'username' } }
+  ]);
+
+  // Emit real-time event to every other participant; their acks mark it delivered.
+  // Group members with a block between them and the sender only find it when they fetch.
+  const blockedIds = conversation.type === 'group'
+    ? await getBlockedAmong(senderId, otherParticipantIds)
+    : new Set();
+
+  otherParticipantIds.filter(id => !blockedIds.has(id)).forEach(participantId => {
+    deliverMessage(participantId, message, {
+      message: message.toJSON(),
+      conversation: conversation.toJSON()
+    });
+  });
+
+  // Also emit to sender for confirmation
+  emitToUser(senderId, 'message_sent', {
+    message: message.toJSON(),
+    conversation: conversation.toJSON()
+  });
+
+  logger.info(`Message sent from ${senderId} in conversation ${conversation._id}`);
+
+  return { message, conversation, duplicate: false };
+};
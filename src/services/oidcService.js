@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import * as client from 'openid-client';
+import User from '../models/User.js';
+import { getRedisClient } from '../config/redis.js';
+import { hashToken } from './tokenService.js';
+import logger from '../utils/logger.js';
+
+// How long a started sign-in may take before its state is forgotten
+export const OIDC_STATE_TTL_SECONDS = 10 * 60;
+
+// Cookie tying a started sign-in to the browser that started it, so a state (and
+// code) obtained by someone else cannot be completed there (login CSRF)
+export const OIDC_BINDING_COOKIE = 'oidc_binding';
+
+// Leaves room for a "_1234" suffix within the 30 character username limit
+const USERNAME_BASE_LENGTH = 24;
+
+const stateKey = (state) => `oidc_state:${state}`;
+
+// Read per call since environment variables load after module imports
+const getSettings = () => ({
+  issuer: process.env.OIDC_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET || undefined,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scope: process.env.OIDC_SCOPES || 'openid email profile',
+  autoCreateUsers: process.env.OIDC_AUTO_CREATE_USERS !== 'false',
+  // Only for local mock providers served over plain HTTP
+  allowInsecureRequests: process.env.OIDC_ALLOW_INSECURE_REQUESTS === 'true'
+});
+
+export const isOidcEnabled = () => {
+  const { issuer, clientId, redirectUri } = getSettings();
+  return Boolean(issuer && clientId && redirectUri);
+};
+
+let configurationPromise = null;
+
+// Discover the provider's endpoints and keys once. A failed discovery is retried on the next call.
+const getConfiguration = async () => {
+  if (!configurationPromise) {
+    const { issuer, clientId, clientSecret, allowInsecureRequests } = getSettings();
+
+    configurationPromise = client.discovery(
+      new URL(issuer),
+      clientId,
+      clientSecret,
+      undefined,
+      allowInsecureRequests ? { execute: [client.allowInsecureRequests] } : undefined
+    ).catch((error) => {
+      configurationPromise = null;
+      throw error;
+    });
+  }
+
+  try {
+    return { config: await configurationPromise };
+  } catch (error) {
+    logger.error('OIDC discovery failed:', error);
+    return { error: { status: 502, message: 'Identity provider is unavailable' } };
+  }
+};
+
+// Start a sign-in: remember the PKCE verifier and nonce under a random state and
+// return the provider URL to send the browser to, with the binding secret to set as
+// the OIDC_BINDING_COOKIE (only its hash is kept).
+// Returns { authorizationUrl, state, binding } or { error: { status, message } }.
+export const createAuthorizationUrl = async ({ deviceName } = {}) => {
+  const { config, error } = await getConfiguration();
+
+  if (error) {
+    return { error };
+  }
+
+  const { redirectUri, scope } = getSettings();
+  const state = client.randomState();
+  const nonce = client.randomNonce();
+  const codeVerifier = client.randomPKCECodeVerifier();
+  const binding = crypto.randomBytes(32).toString('base64url');
+
+  await getRedisClient().set(
+    stateKey(state),
+    JSON.stringify({ codeVerifier, nonce, deviceName, bindingHash: hashToken(binding) }),
+    { EX: OIDC_STATE_TTL_SECONDS }
+  );
+
+  const authorizationUrl = client.buildAuthorizationUrl(config, {
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    nonce,
+    code_challenge: await client.calculatePKCECodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return { authorizationUrl: authorizationUrl.href, state, binding };
+};
+
+// Derive a free username from the provider's preferred username or the email address
+const generateUsername = async ({ preferred_username: preferredUsername, email }) => {
+  const base = (preferredUsername || email).split('@')[0]
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .slice(0, USERNAME_BASE_LENGTH)
+    .padEnd(3, '_');
+
+  let username = base;
+  for (let attempt = 0; attempt < 5 && await User.exists({ username }); attempt++) {
+    username = `${base}_${crypto.randomInt(1000, 10000)}`;
+  }
+
+  return username;
+};
+
+// Find the user signed in at the provider: by the linked identity first, then by
+// verified email (linking the account, if its owner verified that email too),
+// creating one just in time if allowed.
+// Returns { user, created } or { error: { status, message } }.
+const findOrCreateUser = async (issuer, claims) => {
+  const linkedUser = await User.findOne({ 'oidc.issuer': issuer, 'oidc.subject': claims.sub });
+
+  if (linkedUser) {
+    return { user: linkedUser, created: false };
+  }
+
+  // Accounts are only matched or created by an address the provider vouches for
+  if (!claims.email || claims.email_verified !== true) {
+    return { error: { status: 403, message: 'Identity provider did not supply a verified email address' } };
+  }
+
+  const email = claims.email.toLowerCase();
+  const identity = { issuer, subject: claims.sub, linkedAt: new Date() };
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    if (existingUser.isBot) {
+      return { error: { status: 403, message: 'This account cannot use single sign-on' } };
+    }
+
+    if (existingUser.oidc && existingUser.oidc.subject) {
+      return { error: { status: 403, message: 'Account is linked to a different identity' } };
+    }
+
+    // Anyone can register an address they do not own; linking such an account would
+    // hand the identity's owner an account whose password someone else may know
+    if (!existingUser.emailVerified) {
+      return {
+        error: {
+          status: 403,
+          message: 'An account with this email exists but its email is not verified. Sign in with its password and verify the email first.'
+        }
+      };
+    }
+
+    existingUser.oidc = identity;
+    await existingUser.save();
+
+    logger.info(`User ${existingUser.email} linked to OIDC subject ${claims.sub}`);
+
+    return { user: existingUser, created: false };
+  }
+
+  if (!getSettings().autoCreateUsers) {
+    return { error: { status: 403, message: 'No account exists for this email address' } };
+  }
+
+  // The random password is never shown; a local password can be set with a reset
+  const user = new User({
+    username: await generateUsername({ ...claims, email }),
+    email,
+    password: crypto.randomBytes(32).toString('base64url'),
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    oidc: identity
+  });
+
+  await user.save();
+
+  logger.info(`User ${user.email} created from OIDC subject ${claims.sub}`);
+
+  return { user, created: true };
+};
+
+// Finish a sign-in with the code and state the provider redirected back with, and
+// the binding cookie of the browser completing it.
+// Returns { user, created, deviceName } or { error: { status, message } }.
+export const completeLogin = async ({ code, state, iss, binding }) => {
+  // Each state can only be used once
+  const stored = await getRedisClient().getDel(stateKey(state));
+
+  if (!stored) {
+    return { error: { status: 400, message: 'Invalid or expired sign-in state' } };
+  }
+
+  const { codeVerifier, nonce, deviceName, bindingHash } = JSON.parse(stored);
+
+  if (!binding || hashToken(binding) !== bindingHash) {
+    logger.warn('OIDC sign-in rejected: state presented without the binding cookie of the browser that started it');
+    return { error: { status: 400, message: 'Sign-in was not started from this browser' } };
+  }
+  const { config, error } = await getConfiguration();
+
+  if (error) {
+    return { error };
+  }
+
+  // Rebuild the redirect the provider sent the browser to
+  const callbackUrl = new URL(getSettings().redirectUri);
+  callbackUrl.searchParams.set('code', code);
+  callbackUrl.searchParams.set('state', state);
+  if (iss) {
+    callbackUrl.searchParams.set('iss', iss);
+  }
+
+  let claims;
+  try {
+    const tokens = await client.authorizationCodeGrant(config, callbackUrl, {
+      pkceCodeVerifier: codeVerifier,
+      expectedState: state,
+      expectedNonce: nonce,
+      idTokenExpected: true
+    });
+
+    claims = tokens.claims();
+
+    // Some providers only release the email claims from the userinfo endpoint
+    if (!claims.email) {
+      claims = { ...claims, ...await client.fetchUserInfo(config, tokens.access_token, claims.sub) };
+    }
+  } catch (grantError) {
+    logger.warn(`OIDC sign-in rejected: ${grantError.message}`);
+    return { error: { status: 401, message: 'Single sign-on failed' } };
+  }
+
+  const result = await findOrCreateUser(config.serverMetadata().issuer, claims);
+
+  return result.error ? result : { ...result, deviceName };
+};
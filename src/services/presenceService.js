@@ -0,0 +1,170 @@
+import User from '../models/User.js';
+import Block from '../models/Block.js';
+import Contact from '../models/Contact.js';
+import {
+  setConnection,
+  removeConnection,
+  getConnections,
+  removeStaleOnlineUsers
+} from '../config/redis.js';
+import { broadcastPresence, broadcastPresenceAudienceChange } from '../socket/socketHandler.js';
+import logger from '../utils/logger.js';
+
+// States a client can set on its connection
+export const PRESENCE_STATUSES = ['online', 'idle', 'away', 'dnd'];
+
+// A user with several connections shows the first of these any of them has:
+// do not disturb wins, then any active connection, then idle, then away
+const STATUS_PRIORITY = ['dnd', 'online', 'idle', 'away'];
+
+// Connections that miss their heartbeats for this long are considered gone
+export const getPresenceTtl = () => parseInt(process.env.PRESENCE_TTL_SECONDS) || 60;
+
+// Heartbeats are sent often enough to survive a missed one or two
+export const getHeartbeatIntervalMs = () => getPresenceTtl() * 1000 / 3;
+
+// Whether a last seen or online status audience setting covers a viewer
+export const isInPresenceAudience = (audience = 'everyone', isContact) => {
+  return audience === 'everyone' || (audience === 'contacts' && isContact);
+};
+
+// What a viewer may see of other users' presence: users who blocked the viewer show
+// them nothing, others follow their privacy settings
+export const getPresenceVisibility = async (viewerId) => {
+  const [blockerIds, contactIds] = await Promise.all([
+    Block.getBlockerIds(viewerId),
+    Contact.getContactIds(viewerId)
+  ]);
+
+  return {
+    viewerId: viewerId.toString(),
+    blockerIds: new Set(blockerIds),
+    contactIds: new Set(contactIds)
+  };
+};
+
+// Strip from a user object (already converted with toJSON, with privacy settings) the
+// presence hidden from the viewer. The privacy settings themselves are left out.
+export const redactPresence = (user, visibility) => {
+  if (!user || !user._id) {
+    return user;
+  }
+
+  const { privacy, ...redacted } = user;
+  const userId = user._id.toString();
+
+  if (userId === visibility.viewerId) {
+    return redacted;
+  }
+
+  const isBlocked = visibility.blockerIds.has(userId);
+  const isContact = visibility.contactIds.has(userId);
+
+  if (isBlocked || !isInPresenceAudience(privacy?.lastSeenVisibleTo, isContact)) {
+    delete redacted.lastSeen;
+  }
+
+  if (isBlocked || !isInPresenceAudience(privacy?.onlineVisibleTo, isContact)) {
+    if ('isOnline' in redacted) {
+      redacted.isOnline = false;
+    }
+    if ('presence' in redacted) {
+      redacted.presence = 'offline';
+    }
+  }
+
+  return redacted;
+};
+
+// Same for every participant of a conversation object
+export const redactConversationPresence = (conversation, visibility) => ({
+  ...conversation,
+  participants: conversation.participants.map(participant => redactPresence(participant, visibility))
+});
+
+// A user's overall status across their connections, 'offline' when they have none
+export const getPresenceStatus = async (userId) => {
+  const statuses = new Set((await getConnections(userId)).map(connection => connection.status));
+  return STATUS_PRIORITY.find(status => statuses.has(status)) || 'offline';
+};
+
+// Record that the user went offline and tell the users who can see them
+const markOffline = async (user, lastSeen) => {
+  await User.updateOne({ _id: user._id }, { lastSeen });
+
+  await broadcastPresence(user, 'user_offline', { lastSeen });
+
+  logger.info(`User ${user.username} (${user._id}) is offline`);
+};
+
+// Apply a change to one of the user's connections, then announce the transition it
+// caused: coming online, going offline, or a change of overall status
+const applyChange = async (user, change) => {
+  const previousStatus = await getPresenceStatus(user._id);
+  const { cameOnline, wentOffline } = await change();
+
+  if (wentOffline) {
+    await markOffline(user, new Date());
+    return 'offline';
+  }
+
+  const status = await getPresenceStatus(user._id);
+
+  if (cameOnline) {
+    await broadcastPresence(user, 'user_online', { status });
+  } else if (status !== previousStatus) {
+    await broadcastPresence(user, 'user_status_changed', { status });
+  }
+
+  return status;
+};
+
+// Register a connection of the user or change its status. Resolves with the overall status.
+export const setPresenceStatus = (user, connectionId, status) => {
+  return applyChange(user, async () => ({
+    cameOnline: await setConnection(user._id, connectionId, status, getPresenceTtl())
+  }));
+};
+
+// Unregister a closed connection; the user goes offline with their last one
+export const disconnectPresence = (user, connectionId) => {
+  return applyChange(user, async () => ({
+    wentOffline: await removeConnection(user._id, connectionId)
+  }));
+};
+
+// Heartbeat: keep a live connection from expiring
+export const refreshPresence = async (user, connectionId, status) => {
+  const cameOnline = await setConnection(user._id, connectionId, status, getPresenceTtl());
+
+  // The connection had expired (e.g. the node stalled) and a sweep took the user offline
+  if (cameOnline) {
+    await broadcastPresence(user, 'user_online', { status: await getPresenceStatus(user._id) });
+  }
+};
+
+// After a user changed who may see their online status, show those who just lost
+// sight of it the user going offline, and those who gained it the user coming online
+export const announcePresenceAudienceChange = async (user, previousAudience) => {
+  const status = await getPresenceStatus(user._id);
+
+  if (status !== 'offline') {
+    await broadcastPresenceAudienceChange(user, previousAudience, status);
+  }
+};
+
+// Take offline the users whose connections all expired without closing, as happens
+// when a node crashes. Their last seen time is their last heartbeat.
+export const sweepStalePresence = async () => {
+  const staleUsers = await removeStaleOnlineUsers(getPresenceTtl());
+
+  for (const { userId, lastSeen } of staleUsers) {
+    const user = await User.findById(userId).select('username');
+
+    if (user) {
+      await markOffline(user, lastSeen);
+    }
+  }
+
+  return staleUsers.length;
+};
@@ -0,0 +1,69 @@
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { emitToConversation } from '../socket/socketHandler.js';
+import { recordChange } from './syncService.js';
+import logger from '../utils/logger.js';
+
+const MAX_EMOJI_LENGTH = 32;
+
+// Check that a reaction is a short string containing an emoji
+export const isValidEmoji = (emoji) => {
+  return typeof emoji === 'string' &&
+    emoji.length > 0 &&
+    emoji.length <= MAX_EMOJI_LENGTH &&
+    /\p{Extended_Pictographic}/u.test(emoji);
+};
+
+// Find a message that is not deleted and whose conversation includes the user
+export const findReactableMessage = async (messageId, userId) => {
+  const message = await Message.findOne({
+    _id: messageId,
+    isDeleted: false
+  });
+
+  if (!message) {
+    return null;
+  }
+
+  const isParticipant = await Conversation.exists({
+    _id: message.conversation,
+    participants: userId,
+    isActive: true
+  });
+
+  return isParticipant ? message : null;
+};
+
+// Add or remove a reaction and broadcast the new totals to the conversation room
+export const updateReaction = async ({ messageId, userId, emoji, action }) => {
+  const message = await findReactableMessage(messageId, userId);
+
+  if (!message) {
+    return null;
+  }
+
+  const changed = action === 'add'
+    ? await message.addReaction(userId, emoji)
+    : await message.removeReaction(userId, emoji);
+
+  if (changed) {
+    await recordChange([message.sender, ...message.getRecipientIds()], {
+      type: 'message_updated',
+      conversation: message.conversation,
+      message: message._id
+    });
+
+    emitToConversation(message.conversation, 'message_reaction', {
+      messageId: message._id,
+      conversationId: message.conversation,
+      userId,
+      emoji,
+      action,
+      reactions: message.getReactionSummary()
+    });
+
+    logger.debug(`User ${userId} ${action === 'add' ? 'added' : 'removed'} reaction ${emoji} on message ${messageId}`);
+  }
+
+  return { message, changed };
+};
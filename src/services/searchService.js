@@ -0,0 +1,143 @@
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { serializeMessages } from './deliveryService.js';
+
+const SNIPPET_RADIUS = 60;
+
+// Escape user search terms for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a $text query into plain terms, ignoring negations and quoting
+const getSearchTerms = (query) => {
+  return query
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/"/g, ''))
+    .filter(Boolean);
+};
+
+// Cut a window of content around the first matching term and report where each term occurs in it
+export const buildSnippet = (content, terms) => {
+  if (!content) {
+    return { snippet: '', highlights: [] };
+  }
+
+  const pattern = terms.length > 0
+    ? new RegExp(terms.map(escapeRegex).join('|'), 'gi')
+    : null;
+
+  const firstMatch = pattern ? pattern.exec(content) : null;
+  const center = firstMatch ? firstMatch.index : 0;
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(content.length, center + SNIPPET_RADIUS);
+
+  const snippet = (start > 0 ? '...' : '') +
+    content.substring(start, end) +
+    (end < content.length ? '...' : '');
+
+  const highlights = [];
+  if (pattern) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(snippet)) !== null) {
+      highlights.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return { snippet, highlights };
+};
+
+// Compact representation used for the context window around a hit
+const toContextMessage = (message) => ({
+  _id: message._id,
+  sender: message.sender,
+  content: message.content,
+  messageType: message.messageType,
+  createdAt: message.createdAt
+});
+
+// Fetch the messages just before and after a hit in its conversation
+const getContextWindow = async (message, size) => {
+  if (size === 0) {
+    return { before: [], after: [] };
+  }
+
+  const base = {
+    conversation: message.conversation,
+    isDeleted: false
+  };
+
+  const [before, after] = await Promise.all([
+    Message.find({ ...base, createdAt: { $lt: message.createdAt } })
+      .select('sender content messageType createdAt')
+      .populate('sender', 'username')
+      .sort({ createdAt: -1 })
+      .limit(size),
+    Message.find({ ...base, createdAt: { $gt: message.createdAt } })
+      .select('sender content messageType createdAt')
+      .populate('sender', 'username')
+      .sort({ createdAt: 1 })
+      .limit(size)
+  ]);
+
+  return {
+    before: before.reverse().map(toContextMessage),
+    after: after.map(toContextMessage)
+  };
+};
+
+// Full-text search over the messages of every conversation the user belongs to
+export const searchMessages = async ({
+  userId,
+  query,
+  conversationId,
+  senderId,
+  from,
+  to,
+  messageType,
+  page = 1,
+  limit = 20,
+  contextSize = 2
+}) => {
+  const conversationIds = await Conversation.find({
+    participants: userId,
+    ...(conversationId && { _id: conversationId })
+  }).distinct('_id');
+
+  const filter = {
+    $text: { $search: query },
+    conversation: { $in: conversationIds },
+    isDeleted: false,
+    ...(senderId && { sender: senderId }),
+    ...(messageType && { messageType }),
+    ...((from || to) && {
+      createdAt: {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) })
+      }
+    })
+  };
+
+  const [messages, totalResults] = await Promise.all([
+    Message.find(filter, { score: { $meta: 'textScore' } })
+      .select('-revisions -reactions')
+      .populate('sender', 'username')
+      .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Message.countDocuments(filter)
+  ]);
+
+  const terms = getSearchTerms(query);
+
+  const serialized = await serializeMessages(messages, userId);
+
+  const results = await Promise.all(messages.map(async (message, index) => ({
+    message: serialized[index],
+    score: message.get('score'),
+    ...buildSnippet(message.content, terms),
+    context: await getContextWindow(message, contextSize)
+  })));
+
+  return { results, totalResults };
+};
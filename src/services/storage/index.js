@@ -0,0 +1,26 @@
+import { createLocalDriver } from './localDriver.js';
+import { createS3Driver } from './s3Driver.js';
+import logger from '../../utils/logger.js';
+
+// Every driver implements: save(key, buffer, { contentType }), getStream(key), remove(key)
+const drivers = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+let storage;
+
+export const getStorage = () => {
+  if (!storage) {
+    const driverName = process.env.STORAGE_DRIVER || 'local';
+    const createDriver = drivers[driverName];
+
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver: ${driverName}`);
+    }
+
+    storage = createDriver();
+    logger.info(`Attachment storage initialized with ${driverName} driver`);
+  }
+  return storage;
+};
@@ -0,0 +1,56 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+// Stores attachments in an S3-compatible bucket (AWS S3, MinIO, ...)
+export const createS3Driver = () => {
+  const bucket = process.env.S3_BUCKET;
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // MinIO and most self-hosted S3 servers only support path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+      : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async save(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    async getStream(key) {
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+      return response.Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+    }
+  };
+};
@@ -0,0 +1,182 @@
+import ChangeLog from '../models/ChangeLog.js';
+import Counter from '../models/Counter.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { markDelivered, serializeMessages } from './deliveryService.js';
+import { getPresenceVisibility, redactConversationPresence } from './presenceService.js';
+import logger from '../utils/logger.js';
+
+const SYNC_SEQUENCE = 'sync';
+const SYNC_BATCH_SIZE = 500;
+
+// Entries younger than this are held back so a change whose sequence number was
+// allocated earlier, but which was written slightly later, is never skipped
+const SYNC_SETTLE_MS = 1000;
+
+// Read per call since environment variables load after module imports
+const getRetentionMs = () => (parseInt(process.env.SYNC_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Opaque sync tokens carry the last sequence seen and when the token was issued
+export const encodeSyncToken = (seq) => {
+  return Buffer.from(JSON.stringify({ s: seq, t: Date.now() })).toString('base64url');
+};
+
+// Returns { seq, issuedAt } or null when the token is malformed
+export const decodeSyncToken = (token) => {
+  try {
+    const { s, t } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+
+    if (!Number.isInteger(s) || s < 0 || !Number.isInteger(t)) {
+      return null;
+    }
+
+    return { seq: s, issuedAt: t };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Append one change to the log of every affected user. Failures are logged rather
+// than thrown so that a sync bookkeeping problem never fails the originating request.
+export const recordChange = async (userIds, { type, conversation, message, data }) => {
+  try {
+    const seq = await Counter.next(SYNC_SEQUENCE);
+    const expiresAt = new Date(Date.now() + getRetentionMs());
+    const uniqueUserIds = [...new Set(userIds.map(id => (id._id || id).toString()))];
+
+    await ChangeLog.insertMany(uniqueUserIds.map(user => ({
+      user,
+      seq,
+      type,
+      conversation,
+      message,
+      data,
+      expiresAt
+    })));
+  } catch (error) {
+    logger.error(`Error recording ${type} change:`, error);
+  }
+};
+
+// Collect everything that changed for a user since a sync token.
+// Returns { resyncRequired: true } when the token predates the retained history.
+export const getChangesSince = async (userId, token) => {
+  if (!token) {
+    // First sync: hand out a starting point, the client loads current state itself
+    return {
+      changes: emptyChanges(),
+      syncToken: encodeSyncToken(await Counter.current(SYNC_SEQUENCE)),
+      hasMore: false
+    };
+  }
+
+  const { seq, issuedAt } = token;
+
+  if (Date.now() - issuedAt > getRetentionMs()) {
+    return { resyncRequired: true };
+  }
+
+  const entries = await ChangeLog.find({
+    user: userId,
+    seq: { $gt: seq },
+    createdAt: { $lte: new Date(Date.now() - SYNC_SETTLE_MS) }
+  })
+    .sort({ seq: 1 })
+    .limit(SYNC_BATCH_SIZE + 1);
+
+  const hasMore = entries.length > SYNC_BATCH_SIZE;
+  const batch = entries.slice(0, SYNC_BATCH_SIZE);
+  const lastSeq = batch.length > 0 ? batch[batch.length - 1].seq : seq;
+
+  return {
+    changes: await buildChanges(userId, batch),
+    syncToken: encodeSyncToken(lastSeq),
+    hasMore
+  };
+};
+
+const emptyChanges = () => ({
+  messages: [],
+  deletedMessageIds: [],
+  readStates: [],
+  deliveryStates: [],
+  conversations: [],
+  removedConversationIds: []
+});
+
+// Turn log entries into the current state of everything they touched
+const buildChanges = async (userId, entries) => {
+  const changes = emptyChanges();
+  const messageIds = new Set();
+  const deletedMessageIds = new Set();
+  const conversationIds = new Set();
+  const removedConversationIds = new Set();
+
+  for (const entry of entries) {
+    const conversationId = entry.conversation && entry.conversation.toString();
+    const messageId = entry.message && entry.message.toString();
+
+    switch (entry.type) {
+    case 'message_created':
+    case 'message_updated':
+      messageIds.add(messageId);
+      break;
+    case 'message_deleted':
+      deletedMessageIds.add(messageId);
+      break;
+    case 'messages_read':
+      changes.readStates.push({ conversationId, ...entry.data });
+      break;
+    case 'messages_delivered':
+      changes.deliveryStates.push({ conversationId, ...entry.data });
+      break;
+    case 'conversation_removed':
+      removedConversationIds.add(conversationId);
+      conversationIds.delete(conversationId);
+      continue;
+    }
+
+    if (conversationId) {
+      removedConversationIds.delete(conversationId);
+      conversationIds.add(conversationId);
+    }
+  }
+
+  // Fetching messages through sync counts as delivering them to this user
+  if (messageIds.size > 0) {
+    await markDelivered(userId, { _id: { $in: [...messageIds] } });
+  }
+
+  const [messages, conversations] = await Promise.all([
+    Message.find({
+      _id: { $in: [...messageIds].filter(id => !deletedMessageIds.has(id)) },
+      isDeleted: false
+    })
+      .select('-revisions')
+      .populate('sender', 'username')
+      .populate('receiver', 'username')
+      .populate({ path: 'replyTo', populate: { path: 'sender', select: 'username' } })
+      .sort({ createdAt: 1 }),
+    Conversation.find({
+      _id: { $in: [...conversationIds] },
+      participants: userId
+    })
+      .populate('participants', 'username email lastSeen privacy')
+  ]);
+
+  // Reads by recipients who turned read receipts off are left out
+  changes.messages = (await serializeMessages(messages, userId)).map((message, index) => ({
+    ...message,
+    reactions: messages[index].getReactionSummary(userId)
+  }));
+  changes.deletedMessageIds = [...deletedMessageIds];
+  const visibility = await getPresenceVisibility(userId);
+
+  changes.conversations = await Promise.all(conversations.map(async (conversation) => ({
+    ...redactConversationPresence(conversation.toJSON(), visibility),
+    unreadCount: await Message.getConversationUnreadCount(conversation._id, userId)
+  })));
+  changes.removedConversationIds = [...removedConversationIds];
+
+  return changes;
+};
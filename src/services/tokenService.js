@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { addToDenylist, isDenylisted } from '../config/redis.js';
+import { disconnectSessionSockets, disconnectTokenSockets } from '../socket/socketHandler.js';
+import { describeDevice } from '../utils/device.js';
+import logger from '../utils/logger.js';
+
+// Refresh tokens are only ever stored as SHA-256 hashes
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const getAccessTokenExpiresIn = () => process.env.JWT_EXPIRES_IN || '15m';
+
+// Access tokens carry the session (refresh token family) they were issued for,
+// and a jti so that a single token can be revoked
+export const generateAccessToken = (userId, family) => {
+  return jwt.sign(
+    { userId, sid: family, jti: crypto.randomUUID() },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenExpiresIn() }
+  );
+};
+
+// Longest an access token can live, in seconds. jsonwebtoken parses JWT_EXPIRES_IN
+// ('15m', '1h', a number of seconds, ...) so the formats accepted always match.
+const getAccessTokenLifetime = () => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn: getAccessTokenExpiresIn() }));
+  return exp - iat;
+};
+
+// Block one access token for the rest of its life and drop the sockets opened with it
+export const revokeAccessToken = async ({ jti, exp }) => {
+  const ttl = exp - Math.floor(Date.now() / 1000);
+
+  if (jti && ttl > 0) {
+    await addToDenylist(`jti:${jti}`, ttl);
+    disconnectTokenSockets(jti);
+  }
+};
+
+// Block every access token already issued for a session
+const revokeSessionAccessTokens = async (family) => {
+  await addToDenylist(`session:${family}`, getAccessTokenLifetime());
+};
+
+// Check a verified access token against the denylist
+export const isAccessTokenRevoked = async ({ jti, sid }) => {
+  const ids = [
+    ...(jti ? [`jti:${jti}`] : []),
+    ...(sid ? [`session:${sid}`] : [])
+  ];
+
+  return ids.length > 0 && await isDenylisted(ids);
+};
+
+// Sign a refresh token in a family and store its hash on the user
+const issueRefreshToken = async (userId, family) => {
+  const refreshToken = jwt.sign(
+    { userId, family, jti: crypto.randomUUID() },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+  );
+
+  const { exp } = jwt.decode(refreshToken);
+
+  // Drop expired entries, and legacy plaintext ones, before adding the new one
+  await User.updateOne(
+    { _id: userId },
+    {
+      $pull: {
+        refreshTokens: {
+          $or: [
+            { expiresAt: { $lt: new Date() } },
+            { tokenHash: { $exists: false } }
+          ]
+        },
+        sessions: { expiresAt: { $lt: new Date() } }
+      }
+    }
+  );
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        refreshTokens: {
+          tokenHash: hashToken(refreshToken),
+          family,
+          expiresAt: new Date(exp * 1000)
+        }
+      }
+    }
+  );
+
+  // The session lives as long as its newest refresh token
+  const expiresAt = new Date(exp * 1000);
+  const { matchedCount } = await User.updateOne(
+    { _id: userId, 'sessions.family': family },
+    { $set: { 'sessions.$.lastUsedAt': new Date(), 'sessions.$.expiresAt': expiresAt } }
+  );
+
+  // Families issued before sessions were tracked get an entry on their next refresh
+  if (matchedCount === 0) {
+    await User.updateOne(
+      { _id: userId },
+      { $push: { sessions: { family, deviceName: describeDevice(), expiresAt } } }
+    );
+  }
+
+  return refreshToken;
+};
+
+// Start a new token family (a login session) and return its first token pair.
+// The device details ({ userAgent, ip, deviceName }) are shown in the session list.
+export const issueTokens = async (userId, { userAgent, ip, deviceName } = {}) => {
+  const family = crypto.randomUUID();
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        sessions: {
+          family,
+          userAgent,
+          ip,
+          deviceName: deviceName || describeDevice(userAgent)
+        }
+      }
+    }
+  );
+
+  const refreshToken = await issueRefreshToken(userId, family);
+
+  return {
+    accessToken: generateAccessToken(userId, family),
+    refreshToken,
+    family
+  };
+};
+
+// Revoke every refresh token of a family, and its access tokens, ending that session
+export const revokeFamily = async (userId, family) => {
+  await User.updateOne(
+    { _id: userId },
+    { $pull: { refreshTokens: { family }, sessions: { family } } }
+  );
+  await revokeSessionAccessTokens(family);
+};
+
+// Revoke every refresh token of the user, and the access tokens of their sessions,
+// ending all of them except, optionally, the one whose family is given
+export const revokeAllRefreshTokens = async (userId, { exceptFamily } = {}) => {
+  const user = await User.findById(userId).select('sessions.family');
+  const families = (user ? user.sessions : [])
+    .map(session => session.family)
+    .filter(family => family !== exceptFamily);
+
+  await Promise.all(families.map(revokeSessionAccessTokens));
+
+  await User.updateOne(
+    { _id: userId },
+    exceptFamily
+      ? {
+        $pull: {
+          refreshTokens: { family: { $ne: exceptFamily } },
+          sessions: { family: { $ne: exceptFamily } }
+        }
+      }
+      : { $set: { refreshTokens: [], sessions: [] } }
+  );
+};
+
+// List the user's live sessions, most recently used first
+export const listSessions = async (userId) => {
+  const user = await User.findById(userId).select('sessions');
+  const now = new Date();
+
+  return (user ? user.sessions : [])
+    .filter(session => !session.expiresAt || session.expiresAt > now)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+};
+
+// Exchange a refresh token for a new pair in the same family.
+// Returns { accessToken, refreshToken, family } or { error } for invalid or reused tokens.
+export const rotateRefreshToken = async (refreshToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    return { error: 'invalid' };
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  // Atomically retire the presented token so concurrent refreshes cannot both succeed
+  const user = await User.findOneAndUpdate(
+    {
+      _id: decoded.userId,
+      isActive: true,
+      refreshTokens: { $elemMatch: { tokenHash, rotatedAt: null } }
+    },
+    { $set: { 'refreshTokens.$.rotatedAt': new Date() } }
+  );
+
+  if (!user) {
+    // A known but already rotated token means the family has leaked
+    const reused = await User.exists({
+      _id: decoded.userId,
+      'refreshTokens.tokenHash': tokenHash
+    });
+
+    if (reused) {
+      await revokeFamily(decoded.userId, decoded.family);
+      disconnectSessionSockets(decoded.family);
+      logger.warn(`Refresh token reuse detected for user ${decoded.userId}, family ${decoded.family} revoked (suspected token theft)`);
+      return { error: 'reused' };
+    }
+
+    return { error: 'invalid' };
+  }
+
+  const newRefreshToken = await issueRefreshToken(user._id, decoded.family);
+
+  return {
+    accessToken: generateAccessToken(user._id, decoded.family),
+    refreshToken: newRefreshToken,
+    family: decoded.family
+  };
+};
+
+// Find the family a refresh token belongs to, if the token is one of the user's
+export const findTokenFamily = async (userId, refreshToken) => {
+  const user = await User.findOne(
+    { _id: userId, 'refreshTokens.tokenHash': hashToken(refreshToken) },
+    { 'refreshTokens.$': 1 }
+  );
+
+  return user ? user.refreshTokens[0].family : null;
+};
@@ -0,0 +1,121 @@
+import { jest, describe, it, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { createLoggerMock } from '../test/fakes.js';
+
+jest.unstable_mockModule('../config/redis.js', () => ({
+  addToDenylist: jest.fn(),
+  isDenylisted: jest.fn()
+}));
+
+jest.unstable_mockModule('../socket/socketHandler.js', () => ({
+  disconnectSessionSockets: jest.fn(),
+  disconnectTokenSockets: jest.fn()
+}));
+
+jest.unstable_mockModule('../utils/logger.js', createLoggerMock);
+
+const { addToDenylist } = await import('../config/redis.js');
+const { disconnectSessionSockets } = await import('../socket/socketHandler.js');
+const { default: User } = await import('../models/User.js');
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken
+} = await import('./tokenService.js');
+
+const userId = '64b000000000000000000001';
+
+// Refresh token hashes pushed onto the user by issueRefreshToken
+const pushedTokenHashes = () => User.updateOne.mock.calls
+  .map(([, update]) => update.$push && update.$push.refreshTokens)
+  .filter(Boolean)
+  .map(entry => entry.tokenHash);
+
+describe('tokenService refresh tokens', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-access-secret';
+    process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('stores only the hash of an issued refresh token', async () => {
+    const { refreshToken, family } = await issueTokens(userId);
+
+    expect(pushedTokenHashes()).toEqual([hashToken(refreshToken)]);
+    expect(jwt.decode(refreshToken)).toMatchObject({ userId, family });
+  });
+
+  it('rotates a live refresh token into a new pair of the same family', async () => {
+    const { refreshToken, family } = await issueTokens(userId);
+    User.updateOne.mockClear();
+    User.findOneAndUpdate.mockResolvedValue({ _id: userId });
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: userId,
+        isActive: true,
+        refreshTokens: { $elemMatch: { tokenHash: hashToken(refreshToken), rotatedAt: null } }
+      },
+      { $set: { 'refreshTokens.$.rotatedAt': expect.any(Date) } }
+    );
+    expect(result.family).toBe(family);
+    expect(result.refreshToken).not.toBe(refreshToken);
+    expect(pushedTokenHashes()).toEqual([hashToken(result.refreshToken)]);
+    expect(jwt.decode(result.accessToken)).toMatchObject({ userId, sid: family });
+  });
+
+  it('revokes the whole family when an already rotated token is presented again', async () => {
+    const { refreshToken, family } = await issueTokens(userId);
+    User.updateOne.mockClear();
+    User.exists.mockResolvedValue({ _id: userId });
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    expect(result).toEqual({ error: 'reused' });
+    expect(User.exists).toHaveBeenCalledWith({
+      _id: userId,
+      'refreshTokens.tokenHash': hashToken(refreshToken)
+    });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: userId },
+      { $pull: { refreshTokens: { family }, sessions: { family } } }
+    );
+    expect(addToDenylist).toHaveBeenCalledWith(`session:${family}`, expect.any(Number));
+    expect(disconnectSessionSockets).toHaveBeenCalledWith(family);
+    expect(pushedTokenHashes()).toEqual([]);
+  });
+
+  it('rejects a token the user does not hold without revoking anything', async () => {
+    const { refreshToken } = await issueTokens(userId);
+    User.updateOne.mockClear();
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    expect(result).toEqual({ error: 'invalid' });
+    expect(User.updateOne).not.toHaveBeenCalled();
+    expect(addToDenylist).not.toHaveBeenCalled();
+    expect(disconnectSessionSockets).not.toHaveBeenCalled();
+  });
+
+  it('rejects a token with a bad signature before looking it up', async () => {
+    const forged = jwt.sign({ userId, family: 'f', jti: 'j' }, 'not-the-refresh-secret');
+
+    const result = await rotateRefreshToken(forged);
+
+    expect(result).toEqual({ error: 'invalid' });
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(User.exists).not.toHaveBeenCalled();
+  });
+});
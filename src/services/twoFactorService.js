@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { authenticator } from 'otplib';
+import User from '../models/User.js';
+import { hashToken } from './tokenService.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import logger from '../utils/logger.js';
+
+const STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_AUDIENCE = '2fa_challenge';
+
+// Accept codes from the previous and next 30 second step to allow for clock drift
+authenticator.options = { step: STEP_SECONDS, window: 1 };
+
+// Read per call since environment variables load after module imports
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Realtime Messaging';
+const getChallengeExpiresIn = () => process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+
+// Recovery codes are compared without case or separators
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+const hashRecoveryCodes = (codes) => codes.map(code => hashToken(normalizeRecoveryCode(code)));
+
+// Returns the time step a TOTP code belongs to, or null when it is not valid now
+const findCodeStep = (secret, code) => {
+  const delta = authenticator.checkDelta(code, secret);
+  if (delta === null) {
+    return null;
+  }
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+};
+
+// Generate a new secret awaiting confirmation. Returns { secret, otpauthUrl } or { error }.
+export const startEnrollment = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return { error: { status: 400, message: 'Two-factor authentication is already enabled' } };
+  }
+
+  const secret = authenticator.generateSecret();
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.pendingSecret': encrypt(secret) } }
+  );
+
+  return {
+    secret,
+    otpauthUrl: authenticator.keyuri(user.email, getIssuer(), secret)
+  };
+};
+
+// Turn 2FA on once the user proves their authenticator app works.
+// Returns { recoveryCodes } (shown only this once) or { error }.
+export const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor.enabled) {
+    return { error: { status: 400, message: 'Two-factor authentication is already enabled' } };
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return { error: { status: 400, message: 'Two-factor setup has not been started' } };
+  }
+
+  const step = findCodeStep(decrypt(user.twoFactor.pendingSecret), code);
+
+  if (step === null) {
+    return { error: { status: 400, message: 'Invalid verification code' } };
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': hashRecoveryCodes(recoveryCodes),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+
+  logger.info(`Two-factor authentication enabled for user ${userId}`);
+
+  return { recoveryCodes };
+};
+
+// Check a TOTP or recovery code for a user with 2FA enabled. Each TOTP code and each
+// recovery code works only once. Returns 'totp', 'recovery_code' or null.
+export const verifySecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.secret');
+
+  if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) {
+    return null;
+  }
+
+  if (/^\d{6}$/.test(code)) {
+    const step = findCodeStep(decrypt(user.twoFactor.secret), code);
+
+    if (step === null) {
+      return null;
+    }
+
+    // Only a step newer than the last accepted one counts, so a code cannot be replayed
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: userId,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': { $exists: false } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+
+    return modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, 'twoFactor.recoveryCodes': codeHash },
+    { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+  );
+
+  if (modifiedCount !== 1) {
+    return null;
+  }
+
+  logger.info(`Recovery code used by user ${userId}`);
+  return 'recovery_code';
+};
+
+// Replace the recovery codes, returning the new ones
+export const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.recoveryCodes': hashRecoveryCodes(recoveryCodes) } }
+  );
+
+  logger.info(`Recovery codes regenerated for user ${userId}`);
+
+  return recoveryCodes;
+};
+
+export const disableTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    }
+  );
+
+  logger.info(`Two-factor authentication disabled for user ${userId}`);
+};
+
+// Short-lived token proving the password step of a login succeeded. It carries no
+// userId claim, so it can never pass authenticateToken as an access token.
+export const createChallengeToken = (userId, { deviceName } = {}) => {
+  return jwt.sign(
+    { challenge: userId.toString(), deviceName },
+    process.env.JWT_SECRET,
+    { audience: CHALLENGE_AUDIENCE, expiresIn: getChallengeExpiresIn() }
+  );
+};
+
+// Returns { userId, deviceName } or null when the token is invalid or expired
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return { userId: decoded.challenge, deviceName: decoded.deviceName };
+  } catch (error) {
+    return null;
+  }
+};
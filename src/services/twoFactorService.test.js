@@ -0,0 +1,172 @@
+import { jest, describe, it, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import { authenticator } from 'otplib';
+import { createLoggerMock, mockQuery } from '../test/fakes.js';
+
+jest.unstable_mockModule('../utils/logger.js', createLoggerMock);
+
+const { default: User } = await import('../models/User.js');
+const { hashToken } = await import('./tokenService.js');
+const { encrypt, decrypt } = await import('../utils/encryption.js');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor
+} = await import('./twoFactorService.js');
+
+const userId = '64b000000000000000000002';
+
+// Make User.findById(...) resolve to the given user
+const mockFindUser = (user) => {
+  jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+};
+
+// A six digit code that is not valid for the secret in any accepted time step
+const wrongCodeFor = (secret) => {
+  let code = Number(authenticator.generate(secret));
+  do {
+    code = (code + 1) % 1000000;
+  } while (authenticator.checkDelta(String(code).padStart(6, '0'), secret) !== null);
+  return String(code).padStart(6, '0');
+};
+
+describe('twoFactorService', () => {
+  beforeAll(() => {
+    process.env.ENCRYPTION_KEY = 'test-encryption-key';
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('enrolment', () => {
+    it('stores a new secret encrypted until it is confirmed', async () => {
+      const { secret, otpauthUrl } = await startEnrollment({
+        _id: userId,
+        email: 'ada@example.com',
+        twoFactor: { enabled: false }
+      });
+
+      const [[filter, update]] = User.updateOne.mock.calls;
+      const stored = update.$set['twoFactor.pendingSecret'];
+
+      expect(filter).toEqual({ _id: userId });
+      expect(stored).not.toContain(secret);
+      expect(decrypt(stored)).toBe(secret);
+      expect(otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+    });
+
+    it('refuses to start again while 2FA is enabled', async () => {
+      const result = await startEnrollment({ _id: userId, twoFactor: { enabled: true } });
+
+      expect(result.error.status).toBe(400);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('enables 2FA with a valid code and returns hashed-at-rest recovery codes', async () => {
+      const secret = authenticator.generateSecret();
+      const pendingSecret = encrypt(secret);
+      mockFindUser({ twoFactor: { enabled: false, pendingSecret } });
+
+      const { recoveryCodes, error } = await confirmEnrollment(userId, authenticator.generate(secret));
+
+      expect(error).toBeUndefined();
+      expect(recoveryCodes).toHaveLength(10);
+      recoveryCodes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+      const [[, update]] = User.updateOne.mock.calls;
+      expect(update.$set).toMatchObject({
+        'twoFactor.enabled': true,
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.lastUsedStep': expect.any(Number)
+      });
+      expect(update.$set['twoFactor.recoveryCodes'])
+        .toEqual(recoveryCodes.map(code => hashToken(code.replace('-', ''))));
+      expect(update.$unset).toEqual({ 'twoFactor.pendingSecret': 1 });
+    });
+
+    it('keeps 2FA off when the confirmation code is wrong', async () => {
+      const secret = authenticator.generateSecret();
+      mockFindUser({ twoFactor: { enabled: false, pendingSecret: encrypt(secret) } });
+
+      const result = await confirmEnrollment(userId, wrongCodeFor(secret));
+
+      expect(result.error).toEqual({ status: 400, message: 'Invalid verification code' });
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses to confirm before enrolment was started', async () => {
+      mockFindUser({ twoFactor: { enabled: false } });
+
+      const result = await confirmEnrollment(userId, '123456');
+
+      expect(result.error.message).toBe('Two-factor setup has not been started');
+    });
+  });
+
+  describe('verifying a second factor', () => {
+    let secret;
+
+    beforeEach(() => {
+      secret = authenticator.generateSecret();
+      mockFindUser({ twoFactor: { enabled: true, secret: encrypt(secret) } });
+    });
+
+    it('accepts a current TOTP code once, for a time step newer than the last used', async () => {
+      const result = await verifySecondFactor(userId, authenticator.generate(secret));
+
+      const [[filter, update]] = User.updateOne.mock.calls;
+      const step = update.$set['twoFactor.lastUsedStep'];
+
+      expect(result).toBe('totp');
+      expect(filter.$or).toContainEqual({ 'twoFactor.lastUsedStep': { $lt: step } });
+    });
+
+    it('rejects a TOTP code whose time step was already used', async () => {
+      User.updateOne.mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+
+      const result = await verifySecondFactor(userId, authenticator.generate(secret));
+
+      expect(result).toBeNull();
+    });
+
+    it('rejects a wrong TOTP code without touching the user', async () => {
+      const result = await verifySecondFactor(userId, wrongCodeFor(secret));
+
+      expect(result).toBeNull();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('consumes a recovery code regardless of case and separators', async () => {
+      const result = await verifySecondFactor(userId, 'AB12C-3D45E');
+
+      const codeHash = hashToken('ab12c3d45e');
+      expect(result).toBe('recovery_code');
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: userId, 'twoFactor.recoveryCodes': codeHash },
+        { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+      );
+    });
+
+    it('rejects a recovery code that is unknown or already used', async () => {
+      User.updateOne.mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+
+      const result = await verifySecondFactor(userId, 'ab12c-3d45e');
+
+      expect(result).toBeNull();
+    });
+
+    it('rejects every code while 2FA is off', async () => {
+      mockFindUser({ twoFactor: { enabled: false } });
+
+      const result = await verifySecondFactor(userId, authenticator.generate(secret));
+
+      expect(result).toBeNull();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
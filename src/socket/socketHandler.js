@@ -1,8 +1,84 @@
-import { authenticateSocket } from '../middleware/auth.js';
-import { addOnlineUser, removeOnlineUser } from '../config/redis.js';
+import mongoose from 'mongoose';
+import { authenticateSocket, isPermitted } from '../middleware/auth.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import User, { PRESENCE_AUDIENCES } from '../models/User.js';
+import Block from '../models/Block.js';
+import Contact from '../models/Contact.js';
+import { isValidEmoji, updateReaction } from '../services/reactionService.js';
+import { sendMessage, isReplyInConversation } from '../services/messageService.js';
+import { getNotifiableRecipientIds } from '../services/blockService.js';
+import {
+  PRESENCE_STATUSES,
+  setPresenceStatus,
+  disconnectPresence,
+  refreshPresence,
+  getHeartbeatIntervalMs
+} from '../services/presenceService.js';
 import logger from '../utils/logger.js';
 
 let io;
+let heartbeatTimer;
+
+// Socket counterpart of requirePermission: reports a denial to the client.
+// Reads socket.user, which refreshUserSockets keeps current when permissions change.
+const checkSocketPermission = (socket, permission, respond) => {
+  if (isPermitted(socket.user, socket.apiKey, permission)) {
+    return true;
+  }
+
+  logger.warn(`User ${socket.userId} denied socket event: missing ${permission}`);
+  (respond || ((response) => socket.emit('error', { message: response.message })))({
+    success: false,
+    message: 'Insufficient permissions'
+  });
+  return false;
+};
+
+// Keep the presence of this node's connections alive in Redis
+const sendPresenceHeartbeats = async () => {
+  for (const socket of io.of('/').sockets.values()) {
+    // Skip sockets still being set up, and those that closed meanwhile
+    if (!socket.presenceStatus || !socket.connected) {
+      continue;
+    }
+
+    try {
+      await refreshPresence(socket.user, socket.id, socket.presenceStatus);
+    } catch (error) {
+      logger.error(`Presence heartbeat error for user ${socket.userId}:`, error);
+    }
+  }
+};
+
+// Relay a typing indicator between two members of a conversation, unless a block or
+// mute silences the sender for the receiver
+const relayTyping = async (socket, { conversationId, receiverId } = {}, isTyping) => {
+  if (![conversationId, receiverId].every(id => id && mongoose.Types.ObjectId.isValid(id))) {
+    return;
+  }
+
+  const isMember = await Conversation.exists({
+    _id: conversationId,
+    participants: { $all: [socket.userId, receiverId] },
+    isActive: true
+  });
+
+  if (!isMember) {
+    return;
+  }
+
+  const [notifiableId] = await getNotifiableRecipientIds(socket.userId, [receiverId]);
+
+  if (notifiableId) {
+    socket.to(`user_${receiverId}`).emit('user_typing', {
+      userId: socket.userId,
+      username: socket.user.username,
+      conversationId,
+      isTyping
+    });
+  }
+};
 
 export const initializeSocket = (socketIO) => {
   io = socketIO;
@@ -10,32 +86,106 @@ export const initializeSocket = (socketIO) => {
   // Authentication middleware
   io.use(authenticateSocket);
 
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = setInterval(sendPresenceHeartbeats, getHeartbeatIntervalMs());
+  heartbeatTimer.unref();
+
   io.on('connection', async (socket) => {
+    // socket.user, not a copy, since refreshUserSockets replaces it on permission changes
     const userId = socket.userId;
-    const user = socket.user;
 
-    logger.info(`User connected: ${user.username} (${userId})`);
+    logger.info(`User connected: ${socket.user.username} (${userId})`);
 
     try {
-      // Add user to online users list
-      await addOnlineUser(userId);
-
       // Join user to their personal room
       socket.join(`user_${userId}`);
 
-      // Broadcast user online status
-      socket.broadcast.emit('user_online', {
-        userId,
-        username: user.username,
-        timestamp: new Date()
+      // Sockets are also grouped by login session, so a session can be cut off on its own
+      if (socket.sessionId) {
+        socket.join(`session_${socket.sessionId}`);
+      }
+
+      // ... and by access token, so revoking the token drops the socket
+      if (socket.tokenId) {
+        socket.join(`token_${socket.tokenId}`);
+      }
+
+      // ... or by API key for bots
+      if (socket.apiKey) {
+        socket.join(`apikey_${socket.apiKey._id}`);
+      }
+
+      // Handle presence status changes of this connection
+      socket.on('set_status', async (data, ack) => {
+        const respond = typeof ack === 'function'
+          ? ack
+          : (response) => {
+            if (!response.success) {
+              socket.emit('error', { message: response.message });
+            }
+          };
+
+        const status = data?.status;
+
+        if (!PRESENCE_STATUSES.includes(status)) {
+          return respond({
+            success: false,
+            message: `Status must be one of: ${PRESENCE_STATUSES.join(', ')}`
+          });
+        }
+
+        try {
+          await socket.presenceReady;
+          socket.presenceStatus = status;
+
+          respond({
+            success: true,
+            data: {
+              status: await setPresenceStatus(socket.user, socket.id, status)
+            }
+          });
+        } catch (error) {
+          logger.error('Socket set_status error:', error);
+          respond({
+            success: false,
+            message: 'Failed to update status'
+          });
+        }
       });
 
       // Handle joining conversation rooms
-      socket.on('join_room', (data) => {
-        const { conversationId } = data;
-        if (conversationId) {
+      socket.on('join_room', async (data) => {
+        if (!checkSocketPermission(socket, 'conversations:read')) {
+          return;
+        }
+
+        try {
+          const { conversationId } = data;
+          if (!conversationId) {
+            return;
+          }
+
+          // Only participants may listen to a conversation room
+          const isParticipant = await Conversation.exists({
+            _id: conversationId,
+            participants: userId,
+            isActive: true
+          });
+
+          if (!isParticipant) {
+            socket.emit('error', {
+              message: 'Conversation not found'
+            });
+            return;
+          }
+
           socket.join(`conversation_${conversationId}`);
           logger.debug(`User ${userId} joined conversation ${conversationId}`);
+        } catch (error) {
+          logger.error('Socket join_room error:', error);
+          socket.emit('error', {
+            message: 'Failed to join conversation'
+          });
         }
       });
 
@@ -48,98 +198,213 @@ export const initializeSocket = (socketIO) => {
         }
       });
 
-      // Handle real-time message sending
-      socket.on('send_message', async (data) => {
+      // Handle real-time message sending, persisted through the same path as POST /api/messages/send
+      socket.on('send_message', async (data, ack) => {
+        const respond = typeof ack === 'function'
+          ? ack
+          : (response) => {
+            if (!response.success) {
+              socket.emit('error', { message: response.message });
+            }
+          };
+
+        if (!checkSocketPermission(socket, 'messages:send', respond)) {
+          return;
+        }
+
         try {
-          const { conversationId, content, receiverId } = data;
+          const { conversationId, receiverId, replyTo, clientMessageId } = data || {};
+          const content = typeof data?.content === 'string' ? data.content.trim() : '';
 
           // Validate required fields
-          if (!conversationId || !content || !receiverId) {
-            socket.emit('error', {
-              message: 'Missing required fields: conversationId, content, receiverId'
+          if ((!conversationId && !receiverId) || !content) {
+            return respond({
+              success: false,
+              message: 'Missing required fields: content and conversationId or receiverId'
             });
-            return;
           }
 
-          // Emit to conversation room
-          socket.to(`conversation_${conversationId}`).emit('message_received', {
+          if (content.length > 1000) {
+            return respond({
+              success: false,
+              message: 'Message content must be between 1 and 1000 characters'
+            });
+          }
+
+          const invalidId = [conversationId, receiverId, replyTo]
+            .some(id => id !== undefined && !mongoose.Types.ObjectId.isValid(id));
+
+          if (invalidId || (clientMessageId !== undefined &&
+            (typeof clientMessageId !== 'string' || clientMessageId.length > 64))) {
+            return respond({
+              success: false,
+              message: 'Invalid message fields'
+            });
+          }
+
+          if (replyTo && !(await isReplyInConversation({ replyTo, senderId: userId, receiverId, conversationId }))) {
+            return respond({
+              success: false,
+              message: 'Replied-to message must belong to the same conversation'
+            });
+          }
+
+          const { message, conversation, duplicate, error } = await sendMessage({
             senderId: userId,
-            senderUsername: user.username,
-            content,
+            fromBot: socket.user.isBot,
+            receiverId,
             conversationId,
-            timestamp: new Date()
+            content,
+            replyTo,
+            clientMessageId
           });
 
-          // Also emit directly to receiver's personal room
-          socket.to(`user_${receiverId}`).emit('new_message_notification', {
-            senderId: userId,
-            senderUsername: user.username,
-            conversationId,
-            preview: content.substring(0, 50) + (content.length > 50 ? '...' : ''),
-            timestamp: new Date()
+          if (error) {
+            return respond({
+              success: false,
+              message: error.message
+            });
+          }
+
+          if (!duplicate) {
+            // Lightweight notification for clients that are not viewing the conversation,
+            // skipped for recipients who blocked or muted the sender
+            const notifiableIds = await getNotifiableRecipientIds(userId, message.getRecipientIds());
+
+            notifiableIds.forEach(recipientId => {
+              socket.to(`user_${recipientId}`).emit('new_message_notification', {
+                senderId: userId,
+                senderUsername: socket.user.username,
+                conversationId: conversation._id,
+                messageId: message._id,
+                preview: content.substring(0, 50) + (content.length > 50 ? '...' : ''),
+                timestamp: message.createdAt
+              });
+            });
+          }
+
+          respond({
+            success: true,
+            duplicate,
+            data: {
+              message: message.toJSON(),
+              conversation: conversation.toJSON()
+            }
           });
 
-          logger.debug(`Real-time message sent from ${userId} to ${receiverId} in conversation ${conversationId}`);
+          logger.debug(`Real-time message ${message._id} stored from ${userId} in conversation ${conversation._id}`);
 
         } catch (error) {
           logger.error('Socket send_message error:', error);
-          socket.emit('error', {
+          respond({
+            success: false,
             message: 'Failed to send message'
           });
         }
       });
 
       // Handle typing indicators
-      socket.on('typing_start', (data) => {
-        const { conversationId, receiverId } = data;
-        if (conversationId && receiverId) {
-          socket.to(`user_${receiverId}`).emit('user_typing', {
-            userId,
-            username: user.username,
-            conversationId,
-            isTyping: true
-          });
+      socket.on('typing_start', async (data) => {
+        if (!checkSocketPermission(socket, 'messages:send')) {
+          return;
+        }
+
+        try {
+          await relayTyping(socket, data, true);
+        } catch (error) {
+          logger.error('Socket typing_start error:', error);
         }
       });
 
-      socket.on('typing_stop', (data) => {
-        const { conversationId, receiverId } = data;
-        if (conversationId && receiverId) {
-          socket.to(`user_${receiverId}`).emit('user_typing', {
-            userId,
-            username: user.username,
-            conversationId,
-            isTyping: false
-          });
+      socket.on('typing_stop', async (data) => {
+        if (!checkSocketPermission(socket, 'messages:send')) {
+          return;
+        }
+
+        try {
+          await relayTyping(socket, data, false);
+        } catch (error) {
+          logger.error('Socket typing_stop error:', error);
         }
       });
 
-      // Handle message read receipts
-      socket.on('message_read', (data) => {
-        const { messageId, senderId } = data;
-        if (messageId && senderId) {
-          socket.to(`user_${senderId}`).emit('message_read_receipt', {
-            messageId,
-            readBy: userId,
-            readAt: new Date()
+      // Handle emoji reactions
+      const handleReaction = (action) => async (data) => {
+        if (!checkSocketPermission(socket, 'messages:send')) {
+          return;
+        }
+
+        try {
+          const { messageId, emoji } = data;
+
+          if (!messageId || !isValidEmoji(emoji)) {
+            socket.emit('error', {
+              message: 'Missing or invalid fields: messageId, emoji'
+            });
+            return;
+          }
+
+          const result = await updateReaction({ messageId, userId, emoji, action });
+
+          if (!result) {
+            socket.emit('error', {
+              message: 'Message not found'
+            });
+          }
+        } catch (error) {
+          logger.error(`Socket ${action}_reaction error:`, error);
+          socket.emit('error', {
+            message: 'Failed to update reaction'
           });
         }
+      };
+
+      socket.on('add_reaction', handleReaction('add'));
+      socket.on('remove_reaction', handleReaction('remove'));
+
+      // Handle message read receipts. The sender is taken from the message, which the
+      // reader must have received; a senderId in the payload is ignored.
+      socket.on('message_read', async (data) => {
+        if (!checkSocketPermission(socket, 'messages:read')) {
+          return;
+        }
+
+        try {
+          const { messageId } = data || {};
+
+          // Users who turned read receipts off do not tell senders they read their messages
+          if (!mongoose.Types.ObjectId.isValid(messageId) || socket.user.privacy?.readReceipts === false) {
+            return;
+          }
+
+          const message = await Message.findOne({
+            _id: messageId,
+            isDeleted: false,
+            $or: [{ receiver: userId }, { recipients: userId }]
+          }).select('sender');
+
+          if (message) {
+            socket.to(`user_${message.sender}`).emit('message_read_receipt', {
+              messageId: message._id,
+              readBy: userId,
+              readAt: new Date()
+            });
+          }
+        } catch (error) {
+          logger.error('Socket message_read error:', error);
+        }
       });
 
       // Handle disconnect
       socket.on('disconnect', async () => {
         try {
-          // Remove user from online users list
-          await removeOnlineUser(userId);
-
-          // Broadcast user offline status
-          socket.broadcast.emit('user_offline', {
-            userId,
-            username: user.username,
-            timestamp: new Date()
-          });
+          // Wait for the connection to be registered, whether or not that worked
+          await socket.presenceReady.catch(() => {});
+
+          // Others are told when the user's last connection closes
+          await disconnectPresence(socket.user, socket.id);
 
-          logger.info(`User disconnected: ${user.username} (${userId})`);
+          logger.info(`User disconnected: ${socket.user.username} (${userId})`);
 
         } catch (error) {
           logger.error('Socket disconnect error:', error);
@@ -151,6 +416,15 @@ export const initializeSocket = (socketIO) => {
         logger.error(`Socket error for user ${userId}:`, error);
       });
 
+      // Register the connection last, so events sent right after connecting already
+      // find their handlers; others are told when the user comes online. Handlers
+      // touching presence wait for it. Heartbeats start once it is done.
+      socket.presenceReady = setPresenceStatus(socket.user, socket.id, 'online')
+        .then(() => {
+          socket.presenceStatus = 'online';
+        });
+      await socket.presenceReady;
+
     } catch (error) {
       logger.error('Socket connection setup error:', error);
       socket.disconnect();
@@ -170,12 +444,151 @@ export const getSocketIO = () => {
 };
 
 // Utility functions for emitting events from other parts of the application
+
+// What broadcasting a user's presence depends on: their privacy settings, and the
+// rooms of their contacts and of those never told (the user and whom they blocked)
+const getPresenceRooms = async (userId) => {
+  const [owner, blockedIds, contactIds] = await Promise.all([
+    User.findById(userId).select('privacy'),
+    Block.getBlockedIds(userId),
+    Contact.getContactIds(userId)
+  ]);
+
+  return {
+    privacy: owner?.privacy || {},
+    excluded: [`user_${userId}`, ...blockedIds.map(id => `user_${id}`)],
+    contacts: contactIds.map(id => `user_${id}`)
+  };
+};
+
+// Sockets of the users a presence audience setting covers, leaving out those a
+// narrower setting also covers; null when no one is left
+const toPresenceAudience = (rooms, audience = 'everyone', narrower = 'nobody') => {
+  if (audience === 'nobody' || audience === narrower || (audience === 'contacts' && rooms.contacts.length === 0)) {
+    return null;
+  }
+
+  const sockets = audience === 'contacts' ? io.to(rooms.contacts).except(rooms.excluded) : io.except(rooms.excluded);
+  return narrower === 'contacts' ? sockets.except(rooms.contacts) : sockets;
+};
+
+// The narrower of two presence audience settings
+const narrowerAudience = (audience1 = 'everyone', audience2 = 'everyone') => {
+  return PRESENCE_AUDIENCES[Math.max(PRESENCE_AUDIENCES.indexOf(audience1), PRESENCE_AUDIENCES.indexOf(audience2))];
+};
+
+// Broadcast a user's presence change to those their privacy settings allow, except
+// the users they have blocked. A lastSeen time only goes to those allowed to see it.
+export const broadcastPresence = async (user, event, { lastSeen, ...data } = {}) => {
+  if (!io) {
+    return;
+  }
+
+  const rooms = await getPresenceRooms(user._id);
+  const { onlineVisibleTo, lastSeenVisibleTo } = rooms.privacy;
+  const payload = {
+    userId: user._id,
+    username: user.username,
+    ...data,
+    timestamp: new Date()
+  };
+
+  if (!lastSeen) {
+    toPresenceAudience(rooms, onlineVisibleTo)?.emit(event, payload);
+    return;
+  }
+
+  const lastSeenAudience = narrowerAudience(onlineVisibleTo, lastSeenVisibleTo);
+
+  toPresenceAudience(rooms, lastSeenAudience)?.emit(event, { ...payload, lastSeen });
+  toPresenceAudience(rooms, onlineVisibleTo, lastSeenAudience)?.emit(event, payload);
+};
+
+// Tell the users who gained or lost sight of an online user's status, after the
+// user changed who may see it
+export const broadcastPresenceAudienceChange = async (user, previousAudience, status) => {
+  if (!io) {
+    return;
+  }
+
+  const rooms = await getPresenceRooms(user._id);
+  const audience = rooms.privacy.onlineVisibleTo;
+  const payload = {
+    userId: user._id,
+    username: user.username,
+    timestamp: new Date()
+  };
+
+  if (narrowerAudience(audience, previousAudience) === audience) {
+    toPresenceAudience(rooms, previousAudience, audience)?.emit('user_offline', payload);
+  } else {
+    toPresenceAudience(rooms, audience, previousAudience)?.emit('user_online', { ...payload, status });
+  }
+};
+
 export const emitToUser = (userId, event, data) => {
   if (io) {
     io.to(`user_${userId}`).emit(event, data);
   }
 };
 
+// Emit to all of a user's sockets and resolve with the acknowledgements received
+// before the timeout (an empty array when the user is offline)
+export const emitToUserWithAck = (userId, event, data, timeoutMs) => {
+  if (!io) {
+    return Promise.resolve([]);
+  }
+
+  return new Promise((resolve) => {
+    io.to(`user_${userId}`).timeout(timeoutMs).emit(event, data, (error, responses) => {
+      resolve(responses || []);
+    });
+  });
+};
+
+// Disconnect all of a user's sockets, optionally keeping those of one session
+export const disconnectUserSockets = (userId, { exceptSession } = {}) => {
+  if (io) {
+    const sockets = io.in(`user_${userId}`);
+    (exceptSession ? sockets.except(`session_${exceptSession}`) : sockets).disconnectSockets(true);
+  }
+};
+
+// Disconnect the sockets opened with a session's access tokens
+export const disconnectSessionSockets = (sessionId) => {
+  if (io) {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+};
+
+// Reload the user on their live sockets, e.g. after a role or permission change
+export const refreshUserSockets = async (userId) => {
+  if (!io) {
+    return;
+  }
+
+  const user = await User.findById(userId).select('-password -refreshTokens');
+  const sockets = await io.in(`user_${userId}`).fetchSockets();
+
+  sockets.forEach(socket => {
+    socket.user = user;
+  });
+};
+
+// Disconnect the sockets authenticated with an access token
+export const disconnectTokenSockets = (tokenId) => {
+  if (io) {
+    io.in(`token_${tokenId}`).disconnectSockets(true);
+  }
+};
+
+// Disconnect the sockets a bot opened with an API key
+export const disconnectApiKeySockets = (apiKeyId) => {
+  if (io) {
+    io.in(`apikey_${apiKeyId}`).disconnectSockets(true);
+  }
+};
+
 export const emitToConversation = (conversationId, event, data) => {
   if (io) {
     io.to(`conversation_${conversationId}`).emit(event, data);
@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+
+// Shared stand-ins for the services unit tests run without. Module mocks still have
+// to be declared in each test file.
+
+// Module factory for jest.unstable_mockModule('../utils/logger.js', ...)
+export const createLoggerMock = () => ({
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), http: jest.fn(), debug: jest.fn() }
+});
+
+// A Mongoose query resolving to value, for models stubbed with jest.spyOn.
+// Chained calls such as .select() and .populate() return the same query.
+export const mockQuery = (value) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return query;
+};
+
+// In-memory Redis client covering the commands the login throttle uses: plain keys
+// and hashes with expiry (against Date.now(), so mocking it moves time) and multi()
+export const createFakeRedis = () => {
+  const store = new Map();
+
+  const live = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+  const hash = (key) => {
+    if (!live(key)) store.set(key, { value: {}, expiresAt: null });
+    return store.get(key).value;
+  };
+
+  const client = {
+    async set(key, value, { NX, EX } = {}) {
+      if (NX && live(key)) return null;
+      store.set(key, { value: String(value), expiresAt: EX ? Date.now() + EX * 1000 : null });
+      return 'OK';
+    },
+    async del(keys) { return [].concat(keys).filter(key => store.delete(key)).length; },
+    async expire(key, seconds) {
+      const entry = live(key);
+      if (entry) entry.expiresAt = Date.now() + seconds * 1000;
+      return entry ? 1 : 0;
+    },
+    async pTTL(key) {
+      const entry = live(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    },
+    async hGetAll(key) { return { ...live(key)?.value }; },
+    async hSet(key, field, value) { hash(key)[field] = String(value); return 1; },
+    async hIncrBy(key, field, by) {
+      const fields = hash(key);
+      fields[field] = String((parseInt(fields[field]) || 0) + by);
+      return parseInt(fields[field]);
+    },
+    multi() {
+      const commands = [];
+      const chain = new Proxy({}, {
+        get: (target, name) => name === 'exec'
+          ? async () => {
+            const results = [];
+            for (const [command, args] of commands) results.push(await client[command](...args));
+            return results;
+          }
+          : (...args) => { commands.push([name, args]); return chain; }
+      });
+      return chain;
+    }
+  };
+
+  return client;
+};
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Opaque pagination cursors encode a message's position as (createdAt, _id)
+export const encodeCursor = (message) => {
+  return Buffer.from(JSON.stringify({
+    t: message.createdAt.toISOString(),
+    id: message._id.toString()
+  })).toString('base64url');
+};
+
+// Returns { createdAt, id } or null when the cursor is malformed
+export const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const createdAt = new Date(t);
+
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    return { createdAt, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Filters selecting messages strictly before/after a position, ties broken on _id
+export const olderThan = ({ createdAt, id }) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: id } }
+  ]
+});
+
+export const newerThan = ({ createdAt, id }) => ({
+  $or: [
+    { createdAt: { $gt: createdAt } },
+    { createdAt, _id: { $gt: id } }
+  ]
+});
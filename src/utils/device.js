@@ -0,0 +1,37 @@
+// Rough, dependency-free labels for a user agent, e.g. "Chrome on Windows".
+// Order matters: several browsers also claim to be Chrome and Safari.
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const findLabel = (labels, userAgent) => {
+  const match = labels.find(([, pattern]) => pattern.test(userAgent));
+  return match && match[0];
+};
+
+export const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = findLabel(BROWSERS, userAgent);
+  const os = findLabel(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+
+  return browser || os || 'Unknown device';
+};
@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Read per call since environment variables load after module imports.
+// ENCRYPTION_KEY may be any string; it is stretched to a 256-bit key.
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY is not configured');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Encrypt a string into "iv.authTag.ciphertext" (base64url parts)
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map(part => part.toString('base64url'))
+    .join('.');
+};
+
+// Decrypt a value produced by encrypt; throws if it was tampered with
+export const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};